@@ -1,10 +1,32 @@
 import should from 'should/as-function';
+import 'should-approximately-deep';
 import deepFreeze from 'deep-freeze';
-import applyStyleFunction from '../stylefunction';
+import applyStyleFunction, {
+  breakLines, clearFunctionCache, getLineAnchors, getLineGradientRamp, offsetGeometry, setRTLTextPlugin
+} from '../stylefunction';
 import states from './data/states.json';
 import Feature from 'ol/Feature';
 import VectorLayer from 'ol/layer/Vector';
+import LineString from 'ol/geom/LineString';
+import Point from 'ol/geom/Point';
 import Polygon from 'ol/geom/Polygon';
+import Icon from 'ol/style/Icon';
+import {assign} from 'ol/obj';
+
+// Text widths depend on the fonts available to the test canvas, so tests of
+// the label layout measure 10 pixels for any text.
+const contextPrototype = Object.getPrototypeOf(document.createElement('canvas').getContext('2d'));
+const measureText = contextPrototype.measureText;
+
+function stubMeasureText() {
+  contextPrototype.measureText = function() {
+    return {width: 10};
+  };
+}
+
+function restoreMeasureText() {
+  contextPrototype.measureText = measureText;
+}
 
 describe('mapbox-to-ol-style', function() {
 
@@ -62,3 +84,1059 @@ describe('mapbox-to-ol-style', function() {
   });
 
 });
+
+describe('fill-extrusion', function() {
+
+  let feature, layer, glStyle;
+  beforeEach(function() {
+    feature = new Feature(new Polygon([[[-1, -1], [-1, 1], [1, 1], [1, -1], [-1, -1]]]));
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        buildings: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'buildings',
+        type: 'fill-extrusion',
+        source: 'buildings',
+        paint: {
+          'fill-extrusion-color': '#ff0000',
+          'fill-extrusion-opacity': 0.5,
+          'fill-extrusion-height': ['get', 'height'],
+          'fill-extrusion-base': 2
+        }
+      }]
+    };
+  });
+
+  it('renders walls and a shifted roof', function() {
+    const style = applyStyleFunction(layer, glStyle, 'buildings');
+    feature.set('height', 10);
+    const styles = style(feature, 1);
+    should(styles).have.length(2);
+    should(styles[0].getFill().getColor()).equal('rgba(191,0,0,0.5)');
+    should(styles[0].getGeometry().getExtent()).be.approximatelyDeep([-1, 0, 1, 6], 1e-6);
+    should(styles[1].getFill().getColor()).equal('rgba(255,0,0,0.5)');
+    should(styles[1].getGeometry().getExtent()).be.approximatelyDeep([-1, 4, 1, 6], 1e-6);
+  });
+
+  it('renders flat fills when the view is rotated', function() {
+    const style = applyStyleFunction(layer, glStyle, 'buildings');
+    feature.set('height', 10);
+    layer.dispatchEvent({type: 'precompose', frameState: {viewState: {rotation: 0.5}}});
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    should(styles[0].getGeometry()).equal(feature.getGeometry());
+  });
+});
+
+describe('line-pattern', function() {
+
+  let feature, layer, glStyle, spriteData, spriteImage;
+  beforeEach(function() {
+    feature = new Feature(new LineString([[0, 0], [10, 0], [10, 10]]));
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        railways: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'railways',
+        type: 'line',
+        source: 'railways',
+        paint: {
+          'line-pattern': 'railway',
+          'line-width': 4,
+          'line-opacity': 0.5
+        }
+      }]
+    };
+    spriteData = {
+      railway: {x: 0, y: 0, width: 16, height: 8, pixelRatio: 1}
+    };
+    spriteImage = document.createElement('canvas');
+  });
+
+  it('renders the pattern along the line', function() {
+    const style = applyStyleFunction(layer, glStyle, 'railways', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    const renderer = styles[0].getRenderer();
+    should(renderer).be.a.Function();
+
+    const calls = [];
+    const context = {};
+    ['save', 'restore', 'translate', 'rotate', 'fillRect'].forEach(function(name) {
+      context[name] = function() {
+        calls.push([name].concat(Array.prototype.slice.call(arguments)));
+      };
+    });
+    renderer([[0, 0], [10, 0], [10, 10]], {context: context, pixelRatio: 2});
+    should(context.fillStyle).be.ok();
+    const rects = calls.filter(function(call) {
+      return call[0] == 'fillRect';
+    });
+    should(rects).eql([['fillRect', 0, 0, 10, 8], ['fillRect', 10, 0, 10, 8]]);
+    const rotations = calls.filter(function(call) {
+      return call[0] == 'rotate';
+    });
+    should(rotations).eql([['rotate', 0], ['rotate', Math.PI / 2]]);
+  });
+
+  it('does not render patterns missing in the sprite', function() {
+    glStyle.layers[0].paint['line-pattern'] = 'unknown';
+    const style = applyStyleFunction(layer, glStyle, 'railways', undefined, spriteData, 'sprite.png', spriteImage);
+    should(style(feature, 1)).be.undefined();
+  });
+});
+
+describe('line-gradient', function() {
+
+  let feature, layer, glStyle;
+  beforeEach(function() {
+    feature = new Feature(new LineString([[0, 0], [10, 0], [10, 30]]));
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        route: {
+          type: 'geojson',
+          lineMetrics: true
+        }
+      },
+      layers: [{
+        id: 'route',
+        type: 'line',
+        source: 'route',
+        layout: {
+          'line-join': 'round'
+        },
+        paint: {
+          'line-color': 'black',
+          'line-gradient': ['interpolate', ['linear'], ['line-progress'], 0, 'blue', 1, 'red'],
+          'line-width': 4
+        }
+      }]
+    };
+  });
+
+  it('computes a color ramp from the line progress', function() {
+    const ramp = getLineGradientRamp(glStyle.layers[0]);
+    should(ramp).have.length(256);
+    should(ramp[0]).equal('rgba(0,0,255,1)');
+    should(ramp[255]).equal('rgba(255,0,0,1)');
+  });
+
+  it('strokes segments with the gradient of their progress', function() {
+    const style = applyStyleFunction(layer, glStyle, 'route');
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    const renderer = styles[0].getRenderer();
+    should(renderer).be.a.Function();
+
+    const gradients = [];
+    const context = {
+      globalAlpha: 1,
+      createLinearGradient: function() {
+        const gradient = {
+          coordinates: Array.prototype.slice.call(arguments),
+          stops: [],
+          addColorStop: function(offset, color) {
+            gradient.stops.push([offset, color]);
+          }
+        };
+        gradients.push(gradient);
+        return gradient;
+      }
+    };
+    ['save', 'restore', 'beginPath', 'moveTo', 'lineTo', 'stroke'].forEach(function(name) {
+      context[name] = function() {};
+    });
+    renderer([[0, 0], [10, 0], [10, 30]], {context: context, pixelRatio: 2});
+    should(context.lineWidth).equal(8);
+    should(context.lineCap).equal('round');
+    should(gradients).have.length(2);
+    should(gradients[0].coordinates).eql([0, 0, 10, 0]);
+    should(gradients[0].stops[0]).eql([0, 'rgba(0,0,255,1)']);
+    should(gradients[1].stops[gradients[1].stops.length - 1]).eql([1, 'rgba(255,0,0,1)']);
+    should(gradients[0].stops[gradients[0].stops.length - 1][1])
+      .equal(gradients[1].stops[0][1]);
+  });
+
+  it('uses line-color for sources without lineMetrics', function() {
+    delete glStyle.sources.route.lineMetrics;
+    const style = applyStyleFunction(layer, glStyle, 'route');
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    should(styles[0].getStroke().getColor()).equal('rgba(0,0,0,1)');
+  });
+});
+
+describe('line-offset and translate', function() {
+
+  let feature, layer, glStyle;
+  beforeEach(function() {
+    feature = new Feature(new LineString([[0, 0], [10, 0], [10, 10]]));
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        roads: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'roads',
+        type: 'line',
+        source: 'roads',
+        paint: {
+          'line-color': 'black',
+          'line-width': 2
+        }
+      }]
+    };
+  });
+
+  it('offsets lines to the right of their direction', function() {
+    const geometry = offsetGeometry(feature.getGeometry(), 1, 0, 0);
+    should(geometry.getType()).equal('MultiLineString');
+    should(geometry.getCoordinates()).eql([[[0, -1], [11, -1], [11, 10]]]);
+  });
+
+  it('offsets and translates polygon rings', function() {
+    const polygon = new Polygon([[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]);
+    const geometry = offsetGeometry(polygon, 0, 5, -5);
+    should(geometry.getType()).equal('Polygon');
+    should(geometry.getCoordinates()).eql([[[5, -5], [15, -5], [15, 5], [5, 5], [5, -5]]]);
+  });
+
+  it('renders two parallel lines with line-gap-width', function() {
+    glStyle.layers[0].paint['line-gap-width'] = 4;
+    const style = applyStyleFunction(layer, glStyle, 'roads');
+    const styles = style(feature, 2);
+    should(styles).have.length(2);
+    should(styles[0].getGeometry().getCoordinates()).eql([[[0, 6], [4, 6], [4, 10]]]);
+    should(styles[1].getGeometry().getCoordinates()).eql([[[0, -6], [16, -6], [16, 10]]]);
+    should(styles[0].getStroke().getWidth()).equal(2);
+  });
+
+  it('renders lines without line-offset on the feature geometry', function() {
+    const style = applyStyleFunction(layer, glStyle, 'roads');
+    const styles = style(feature, 2);
+    should(styles).have.length(1);
+    should(styles[0].getGeometry()).be.undefined();
+  });
+
+  it('translates fills by fill-translate pixels', function() {
+    glStyle.layers[0] = {
+      id: 'roads',
+      type: 'fill',
+      source: 'roads',
+      paint: {
+        'fill-color': 'black',
+        'fill-translate': [1, 2]
+      }
+    };
+    feature.setGeometry(new Polygon([[[0, 0], [10, 0], [10, 10], [0, 0]]]));
+    const style = applyStyleFunction(layer, glStyle, 'roads');
+    const styles = style(feature, 2);
+    should(styles).have.length(1);
+    should(styles[0].getGeometry().getCoordinates()).eql([[[2, -4], [12, -4], [12, 6], [2, -4]]]);
+  });
+});
+
+describe('blur', function() {
+
+  let layer;
+  beforeEach(function() {
+    layer = new VectorLayer();
+  });
+
+  it('renders blurred lines as shadow', function() {
+    const glStyle = {
+      version: 8,
+      sources: {
+        route: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'route',
+        type: 'line',
+        source: 'route',
+        paint: {
+          'line-color': 'red',
+          'line-width': 6,
+          'line-blur': ['get', 'blur']
+        }
+      }]
+    };
+    const feature = new Feature({
+      geometry: new LineString([[0, 0], [10, 0]]),
+      blur: 2
+    });
+    const style = applyStyleFunction(layer, glStyle, 'route');
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    const renderer = styles[0].getRenderer();
+    should(renderer).be.a.Function();
+
+    const calls = [];
+    const context = {canvas: {width: 100}};
+    ['save', 'restore', 'setLineDash', 'beginPath', 'moveTo', 'lineTo', 'stroke'].forEach(function(name) {
+      context[name] = function() {
+        calls.push([name].concat(Array.prototype.slice.call(arguments)));
+      };
+    });
+    renderer([[0, 0], [10, 0]], {context: context, pixelRatio: 1});
+    should(context.shadowColor).equal('rgba(255,0,0,1)');
+    should(context.shadowBlur).equal(2);
+    should(context.lineWidth).equal(4);
+    should(calls).containEql(['moveTo', -context.shadowOffsetX, 0]);
+    should(calls).containEql(['lineTo', 10 - context.shadowOffsetX, 0]);
+  });
+
+  it('renders blurred circles as icons', function() {
+    const glStyle = {
+      version: 8,
+      sources: {
+        places: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'places',
+        type: 'circle',
+        source: 'places',
+        paint: {
+          'circle-radius': 5,
+          'circle-blur': 1
+        }
+      }]
+    };
+    const feature = new Feature(new Point([0, 0]));
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    const image = styles[0].getImage();
+    should(image).be.an.instanceOf(Icon);
+    should(image.getSize()).eql([10, 10]);
+  });
+});
+
+describe('icon-text-fit', function() {
+
+  let feature, layer, glStyle, spriteData, spriteImage;
+  beforeEach(function() {
+    feature = new Feature({
+      geometry: new Point([0, 0]),
+      ref: 'A1'
+    });
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        shields: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'shields',
+        type: 'symbol',
+        source: 'shields',
+        layout: {
+          'icon-image': 'shield',
+          'icon-text-fit': 'both',
+          'icon-text-fit-padding': [2, 3, 2, 3],
+          'text-field': '{ref}',
+          'text-size': 10,
+          'text-line-height': 1
+        }
+      }]
+    };
+    spriteData = {
+      shield: {
+        x: 0, y: 0, width: 16, height: 16, pixelRatio: 2,
+        stretchX: [[4, 12]],
+        stretchY: [[4, 12]],
+        content: [4, 4, 12, 12]
+      }
+    };
+    spriteImage = document.createElement('canvas');
+    stubMeasureText();
+  });
+
+  afterEach(function() {
+    restoreMeasureText();
+  });
+
+  it('stretches the icon so its content covers the label', function() {
+    const style = applyStyleFunction(layer, glStyle, 'shields', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    const image = styles[0].getImage();
+    // label is 10 x 10 pixels, padded to 16 x 14, which is 32 x 28 sprite pixels
+    should(image.getSize()).eql([40, 36]);
+    should(image.getAnchor()).eql([20, 18]);
+    should(image.getScale()).equal(0.5);
+  });
+
+  it('reuses fitted icons until the function cache is cleared', function() {
+    const style = applyStyleFunction(layer, glStyle, 'shields', undefined, spriteData, 'sprite.png', spriteImage);
+    const image = style(feature, 1)[0].getImage();
+    should(style(feature, 1)[0].getImage()).equal(image);
+    clearFunctionCache('shields');
+    should(style(feature, 1)[0].getImage()).not.equal(image);
+  });
+
+  it('stretches only the fitted dimension', function() {
+    glStyle.layers[0].layout['icon-text-fit'] = 'width';
+    const style = applyStyleFunction(layer, glStyle, 'shields', undefined, spriteData, 'sprite.png', spriteImage);
+    const image = style(feature, 1)[0].getImage();
+    should(image.getSize()).eql([40, 16]);
+  });
+
+  it('moves the icon with the label', function() {
+    glStyle.layers[0].layout['text-anchor'] = 'left';
+    const style = applyStyleFunction(layer, glStyle, 'shields', undefined, spriteData, 'sprite.png', spriteImage);
+    const image = style(feature, 1)[0].getImage();
+    should(image.getAnchor()).eql([20 - 10, 18]);
+  });
+});
+
+describe('formatted text-field', function() {
+
+  let feature, layer, glStyle, spriteData, spriteImage;
+  beforeEach(function() {
+    feature = new Feature({
+      geometry: new Point([0, 0]),
+      name: 'Peak',
+      ele: 1234
+    });
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        peaks: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'peaks',
+        type: 'symbol',
+        source: 'peaks',
+        layout: {
+          'text-field': ['format',
+            ['get', 'name'], {'text-font': ['literal', ['Open Sans Bold']]},
+            '\n', {},
+            ['to-string', ['get', 'ele']], {'font-scale': 0.5, 'text-color': 'red'}
+          ],
+          'text-size': 10
+        }
+      }]
+    };
+    spriteData = {
+      shield: {x: 0, y: 0, width: 24, height: 24, pixelRatio: 1}
+    };
+    spriteImage = document.createElement('canvas');
+    stubMeasureText();
+  });
+
+  afterEach(function() {
+    restoreMeasureText();
+  });
+
+  it('renders formatted labels section by section', function() {
+    const style = applyStyleFunction(layer, glStyle, 'peaks', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(feature, 1);
+    should(styles).have.length(1);
+    should(styles[0].getText()).be.undefined();
+    const image = styles[0].getImage();
+    should(image).be.an.instanceOf(Icon);
+    should(image.getSize()).eql([10, 18]);
+    should(image.getAnchor()).eql([5, 9]);
+  });
+
+  it('renders image sections', function() {
+    glStyle.layers[0].layout['text-field'] = ['format', ['image', 'shield'], {}, ' ', {}, ['get', 'name'], {}];
+    glStyle.layers[0].layout['text-anchor'] = 'left';
+    glStyle.layers[0].layout['text-size'] = 12;
+    const style = applyStyleFunction(layer, glStyle, 'peaks', undefined, spriteData, 'sprite.png', spriteImage);
+    const image = style(feature, 1)[0].getImage();
+    should(image.getSize()).eql([32, 15]);
+    should(image.getAnchor()).approximatelyDeep([0, 7.2], 1e-9);
+  });
+
+  it('leaves out image sections until the sprite image is loaded', function() {
+    glStyle.layers[0].layout['text-field'] = ['format', ['image', 'shield'], {}, ' ', {}, ['get', 'name'], {}];
+    const style = applyStyleFunction(layer, glStyle, 'peaks', undefined, spriteData);
+    const image = style(feature, 1)[0].getImage();
+    should(image.getSize()[0]).equal(10);
+  });
+
+  it('renders plain formatted labels as text', function() {
+    glStyle.layers[0].layout['text-field'] = ['format', ['get', 'name'], {}];
+    const style = applyStyleFunction(layer, glStyle, 'peaks');
+    const styles = style(feature, 1);
+    should(styles[0].getText().getText()).equal('Peak');
+  });
+});
+
+describe('text layout', function() {
+
+  let feature, layer, glStyle;
+  beforeEach(function() {
+    feature = new Feature({
+      geometry: new Point([0, 0]),
+      name: 'Lake'
+    });
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        places: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'places',
+        type: 'symbol',
+        source: 'places',
+        layout: {
+          'text-field': '{name}',
+          'text-size': 10
+        }
+      }]
+    };
+    stubMeasureText();
+  });
+
+  afterEach(function() {
+    restoreMeasureText();
+  });
+
+  it('spaces letters with text-letter-spacing', function() {
+    glStyle.layers[0].layout['text-letter-spacing'] = 1;
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const text = style(feature, 1)[0].getText();
+    should(text.getText()).equal('L\u200Aa\u200Ak\u200Ae');
+  });
+
+  it('justifies lines independently of the anchor', function() {
+    glStyle.layers[0].layout['text-anchor'] = 'left';
+    glStyle.layers[0].layout['text-justify'] = 'right';
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const text = style(feature, 1)[0].getText();
+    should(text.getTextAlign()).equal('right');
+    should(text.getOffsetX()).equal(10);
+  });
+
+  it('justifies lines by the anchor with text-justify auto', function() {
+    glStyle.layers[0].layout['text-anchor'] = 'right';
+    glStyle.layers[0].layout['text-justify'] = 'auto';
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const text = style(feature, 1)[0].getText();
+    should(text.getTextAlign()).equal('right');
+    should(text.getOffsetX()).equal(0);
+  });
+
+  it('offsets text in the direction of the anchor with text-radial-offset', function() {
+    glStyle.layers[0].layout['text-anchor'] = 'top-left';
+    glStyle.layers[0].layout['text-justify'] = 'left';
+    glStyle.layers[0].layout['text-radial-offset'] = Math.SQRT2;
+    glStyle.layers[0].layout['text-line-height'] = 1;
+    glStyle.layers[0].layout['text-offset'] = [5, 5];
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const text = style(feature, 1)[0].getText();
+    should(text.getOffsetX()).approximately(10, 1e-9);
+    should(text.getOffsetY()).approximately(10, 1e-9);
+  });
+});
+
+describe('text-variable-anchor', function() {
+
+  let layer, glStyle;
+  beforeEach(function() {
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        pois: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'pois',
+        type: 'symbol',
+        source: 'pois',
+        layout: {
+          'text-field': '{name}',
+          'text-size': 10,
+          'text-line-height': 1,
+          'text-justify': 'auto',
+          'text-variable-anchor': ['left', 'right', 'top'],
+          'text-offset': [-1, 1]
+        }
+      }]
+    };
+    stubMeasureText();
+  });
+
+  afterEach(function() {
+    restoreMeasureText();
+  });
+
+  it('uses the next anchor when labels collide', function() {
+    const style = applyStyleFunction(layer, glStyle, 'pois');
+    const first = new Feature({
+      geometry: new Point([0, 0]),
+      name: 'A'
+    });
+    const second = new Feature({
+      geometry: new Point([5, 0]),
+      name: 'B'
+    });
+    let text = style(first, 1)[0].getText();
+    should(text.getTextAlign()).equal('left');
+    should(text.getOffsetX()).equal(10);
+    // labels are 10 pixels wide, so B's label would be at [15, 25] with the
+    // left anchor and overlap A's label at [10, 20]
+    text = style(second, 1)[0].getText();
+    should(text.getTextAlign()).equal('right');
+    should(text.getOffsetX()).equal(-10);
+  });
+
+  it('only avoids labels placed in the same frame', function() {
+    const style = applyStyleFunction(layer, glStyle, 'pois');
+    const first = new Feature({
+      geometry: new Point([0, 0]),
+      name: 'A'
+    });
+    const second = new Feature({
+      geometry: new Point([5, 0]),
+      name: 'B'
+    });
+    style(first, 1);
+    should(style(second, 1)[0].getText().getTextAlign()).equal('right');
+    layer.dispatchEvent({type: 'precompose', frameState: {viewState: {rotation: 0}}});
+    should(style(second, 1)[0].getText().getTextAlign()).equal('left');
+  });
+
+  it('keeps the anchor of a label when it is styled again', function() {
+    const style = applyStyleFunction(layer, glStyle, 'pois');
+    const feature = new Feature({
+      geometry: new Point([0, 0]),
+      name: 'A'
+    });
+    style(feature, 1);
+    should(style(feature, 1)[0].getText().getTextAlign()).equal('left');
+  });
+});
+
+describe('symbol placement', function() {
+
+  let layer, glStyle, spriteData, spriteImage;
+  beforeEach(function() {
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        pois: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'pois',
+        type: 'symbol',
+        source: 'pois',
+        layout: {
+          'icon-image': 'marker',
+          'text-field': '{name}'
+        }
+      }]
+    };
+    spriteData = {
+      marker: {x: 0, y: 0, width: 10, height: 10, pixelRatio: 1}
+    };
+    spriteImage = document.createElement('canvas');
+  });
+
+  function createFeature(properties) {
+    return new Feature(assign({geometry: new Point([0, 0])}, properties));
+  }
+
+  it('orders symbols by symbol-sort-key', function() {
+    glStyle.layers[0].layout['symbol-sort-key'] = ['get', 'rank'];
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    const first = style(createFeature({name: 'A', rank: 1}), 1)[0].getZIndex();
+    const second = style(createFeature({name: 'B', rank: 2}), 1)[0].getZIndex();
+    const unranked = style(createFeature({name: 'C'}), 1)[0].getZIndex();
+    should(first).be.below(second);
+    should(second).be.below(99999);
+    should(first).be.above(99998);
+    should(unranked).equal(99999);
+  });
+
+  it('orders symbols in a limited number of z-indexes', function() {
+    glStyle.layers[0].layout['symbol-sort-key'] = ['get', 'rank'];
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    const zIndexes = {};
+    for (let rank = -100; rank <= 100; rank += 0.5) {
+      zIndexes[style(createFeature({name: 'A', rank: rank}), 1)[0].getZIndex()] = true;
+    }
+    should(Object.keys(zIndexes).length).be.belowOrEqual(16);
+    should(style(createFeature({name: 'A', rank: Infinity}), 1)[0].getZIndex()).be.below(99999);
+  });
+
+  it('ignores symbol-sort-key with symbol-z-order source', function() {
+    glStyle.layers[0].layout['symbol-sort-key'] = ['get', 'rank'];
+    glStyle.layers[0].layout['symbol-z-order'] = 'source';
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    should(style(createFeature({name: 'A', rank: 1}), 1)[0].getZIndex()).equal(99999);
+  });
+
+  it('renders overlapping icons without decluttering', function() {
+    glStyle.layers[0].layout['icon-allow-overlap'] = true;
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(createFeature({name: 'A'}), 1);
+    should(styles).have.length(3);
+    should(styles[0].getRenderer()).be.a.Function();
+    should(styles[0].getImage()).be.null();
+    // invisible placeholder that keeps other symbols away from the icon
+    should(styles[1].getImage().getSize()).eql([10, 10]);
+    should(styles[2].getText().getText()).equal('A');
+  });
+
+  it('does not add placeholders with icon-ignore-placement', function() {
+    glStyle.layers[0].layout['icon-allow-overlap'] = true;
+    glStyle.layers[0].layout['icon-ignore-placement'] = true;
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(createFeature({name: 'A'}), 1);
+    should(styles).have.length(2);
+    should(styles[0].getRenderer()).be.a.Function();
+    should(styles[1].getText().getText()).equal('A');
+  });
+
+  it('renders overlapping text without decluttering', function() {
+    delete glStyle.layers[0].layout['icon-image'];
+    glStyle.layers[0].layout['text-allow-overlap'] = true;
+    glStyle.layers[0].layout['text-ignore-placement'] = true;
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(createFeature({name: 'A'}), 1);
+    should(styles).have.length(1);
+    should(styles[0].getRenderer()).be.a.Function();
+    should(styles[0].getText()).be.null();
+  });
+
+  it('declutters optional text separately from its icon', function() {
+    let style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    let styles = style(createFeature({name: 'A'}), 1);
+    should(styles).have.length(1);
+    should(styles[0].getText().getText()).equal('A');
+
+    glStyle.layers[0].layout['text-optional'] = true;
+    style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    styles = style(createFeature({name: 'A'}), 1);
+    should(styles).have.length(2);
+    should(styles[0].getText()).not.be.ok();
+    should(styles[1].getText().getText()).equal('A');
+  });
+});
+
+describe('symbols along lines', function() {
+
+  let layer, glStyle, spriteData, spriteImage;
+  beforeEach(function() {
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        roads: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'roads',
+        type: 'symbol',
+        source: 'roads',
+        layout: {
+          'symbol-placement': 'line',
+          'symbol-spacing': 250
+        }
+      }]
+    };
+    spriteData = {
+      arrow: {x: 0, y: 0, width: 10, height: 10, pixelRatio: 1}
+    };
+    spriteImage = document.createElement('canvas');
+  });
+
+  it('places anchors every symbol-spacing', function() {
+    const anchors = getLineAnchors(new LineString([[0, 0], [500, 0], [1000, 0]]), 250, 10, false);
+    should(anchors.map(function(anchor) {
+      return anchor.coordinate;
+    })).eql([[125, 0], [375, 0], [625, 0], [875, 0]]);
+    should(anchors[0].angle).equal(0);
+    should(anchors[0].line).eql([0, 0, 250, 0]);
+    should(anchors[1].line).eql([250, 0, 500, 0]);
+    should(anchors[2].line).eql([500, 0, 750, 0]);
+  });
+
+  it('keeps symbols longer than the spacing apart', function() {
+    const anchors = getLineAnchors(new LineString([[0, 0], [1000, 0]]), 250, 400, false);
+    should(anchors.map(function(anchor) {
+      return anchor.coordinate;
+    })).eql([[231.25, 0], [693.75, 0]]);
+  });
+
+  it('places a single anchor at the center of lines', function() {
+    const anchors = getLineAnchors(new LineString([[0, 0], [0, 100], [100, 100]]), 250, 10, true);
+    should(anchors).have.length(1);
+    should(anchors[0].coordinate).eql([0, 100]);
+    should(anchors[0].line).eql([0, 0, 0, 100, 100, 100]);
+    should(getLineAnchors(new LineString([[0, 0], [0, 100]]), 250, 150, true)).have.length(0);
+  });
+
+  it('repeats icons along lines and rotates them to the line', function() {
+    glStyle.layers[0].layout['icon-image'] = 'arrow';
+    const style = applyStyleFunction(layer, glStyle, 'roads', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(new Feature(new LineString([[0, 0], [0, 1000]])), 1);
+    should(styles).have.length(4);
+    should(styles[0].getGeometry().getCoordinates()).eql([0, 125]);
+    should(styles[3].getGeometry().getCoordinates()).eql([0, 875]);
+    const image = styles[0].getImage();
+    should(image.getRotation()).approximately(3 * Math.PI / 2, 1e-9);
+    should(image.getRotateWithView()).be.true();
+  });
+
+  it('does not rotate icons aligned with the viewport', function() {
+    glStyle.layers[0].layout['icon-image'] = 'arrow';
+    glStyle.layers[0].layout['icon-rotation-alignment'] = 'viewport';
+    const style = applyStyleFunction(layer, glStyle, 'roads', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(new Feature(new LineString([[0, 0], [0, 1000]])), 1);
+    should(styles).have.length(4);
+    should(styles[0].getImage().getRotation()).equal(0);
+  });
+
+  it('repeats labels along lines', function() {
+    glStyle.layers[0].layout['text-field'] = '{name}';
+    const style = applyStyleFunction(layer, glStyle, 'roads', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(new Feature({
+      geometry: new LineString([[0, 0], [1000, 0]]),
+      name: 'Main Street'
+    }), 1);
+    should(styles).have.length(4);
+    should(styles[1].getGeometry().getFlatCoordinates()).eql([250, 0, 500, 0]);
+    should(styles[1].getText().getPlacement()).equal('line');
+    should(styles[1].getText().getText()).equal('Main Street');
+    should(styles[0].getText()).not.equal(styles[1].getText());
+  });
+
+  it('places a single label with line-center', function() {
+    glStyle.layers[0].layout['text-field'] = '{name}';
+    glStyle.layers[0].layout['symbol-placement'] = 'line-center';
+    const style = applyStyleFunction(layer, glStyle, 'roads', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(new Feature({
+      geometry: new LineString([[0, 0], [1000, 0]]),
+      name: 'Main Street'
+    }), 1);
+    should(styles).have.length(1);
+    should(styles[0].getGeometry().getFlatCoordinates()).eql([0, 0, 1000, 0]);
+    should(styles[0].getText().getPlacement()).equal('line');
+  });
+});
+
+describe('rotation alignment', function() {
+
+  let layer, glStyle, spriteData, spriteImage;
+  beforeEach(function() {
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        pois: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'pois',
+        type: 'symbol',
+        source: 'pois',
+        layout: {
+          'icon-image': 'marker',
+          'text-field': '{name}',
+          'text-optional': true
+        }
+      }]
+    };
+    spriteData = {
+      marker: {x: 0, y: 0, width: 10, height: 10, pixelRatio: 1}
+    };
+    spriteImage = document.createElement('canvas');
+  });
+
+  it('keeps point symbols aligned with the viewport by default', function() {
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(new Feature({geometry: new Point([0, 0]), name: 'A'}), 1);
+    should(styles[0].getImage().getRotateWithView()).be.false();
+    should(styles[1].getText().getRotateWithView()).not.be.ok();
+  });
+
+  it('rotates map aligned symbols with the view', function() {
+    glStyle.layers[0].layout['icon-rotation-alignment'] = 'map';
+    glStyle.layers[0].layout['text-rotation-alignment'] = 'map';
+    glStyle.layers[0].layout['text-rotate'] = 90;
+    const style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    const styles = style(new Feature({geometry: new Point([0, 0]), name: 'A'}), 1);
+    should(styles[0].getImage().getRotateWithView()).be.true();
+    should(styles[1].getText().getRotateWithView()).be.true();
+    should(styles[1].getText().getRotation()).equal(Math.PI / 2);
+  });
+
+  it('keeps icons along lines upright with icon-keep-upright', function() {
+    glStyle.layers[0].layout['symbol-placement'] = 'line-center';
+    const feature = new Feature({geometry: new LineString([[1000, 0], [0, 0]]), name: 'A'});
+    let style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    let styles = style(feature, 1);
+    should(styles[0].getImage().getRotation()).approximately(Math.PI, 1e-9);
+    // the label keeps upright by default
+    should(styles[1].getText().getRotation()).approximately(0, 1e-9);
+    should(styles[1].getText().getRotateWithView()).be.true();
+
+    glStyle.layers[0].layout['icon-keep-upright'] = true;
+    style = applyStyleFunction(layer, glStyle, 'pois', undefined, spriteData, 'sprite.png', spriteImage);
+    styles = style(feature, 1);
+    should(styles[0].getImage().getRotation()).approximately(0, 1e-9);
+  });
+});
+
+describe('right-to-left text', function() {
+
+  let layer, glStyle;
+  beforeEach(function() {
+    layer = new VectorLayer();
+    glStyle = {
+      version: 8,
+      sources: {
+        places: {
+          type: 'geojson'
+        }
+      },
+      layers: [{
+        id: 'places',
+        type: 'symbol',
+        source: 'places',
+        layout: {
+          'text-field': '{name}'
+        }
+      }]
+    };
+    setRTLTextPlugin({
+      applyArabicShaping: function(text) {
+        return text.replace(/ب/g, 'ﺑ');
+      },
+      processBidirectionalText: function(text, lineBreakPoints) {
+        return [text.split('').reverse().join('')];
+      }
+    });
+  });
+
+  afterEach(function() {
+    setRTLTextPlugin(null);
+  });
+
+  it('shapes and orders right-to-left labels', function() {
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const styles = style(new Feature({geometry: new Point([0, 0]), name: 'بي'}), 1);
+    should(styles[0].getText().getText()).equal('\u202Dيﺑ\u202C');
+  });
+
+  it('orders the sections of formatted labels', function() {
+    setRTLTextPlugin({
+      applyArabicShaping: function(text) {
+        return text;
+      },
+      processStyledBidirectionalText: function(text, styleIndices, lineBreakPoints) {
+        return [[text.split('').reverse().join(''), styleIndices.slice().reverse()]];
+      }
+    });
+    glStyle.layers[0].layout['text-field'] = ['format', 'אב', {}, ' ', {}, ['get', 'name'], {'text-color': 'red'}];
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const texts = [];
+    const fillText = contextPrototype.fillText;
+    contextPrototype.fillText = function(text) {
+      texts.push(text);
+    };
+    try {
+      style(new Feature({geometry: new Point([0, 0]), name: 'גד'}), 1);
+    } finally {
+      contextPrototype.fillText = fillText;
+    }
+    should(texts).eql(['\u202Dדג\u202C', '\u202D \u202C', '\u202Dבא\u202C']);
+  });
+
+  it('orders labels along lines', function() {
+    glStyle.layers[0].layout['symbol-placement'] = 'line';
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const styles = style(new Feature({geometry: new LineString([[0, 0], [100, 0]]), name: 'אב'}), 1);
+    should(styles[0].getText().getPlacement()).equal('line');
+    should(styles[0].getText().getText()).equal('\u202Dבא\u202C');
+  });
+
+  it('leaves left-to-right labels alone', function() {
+    const style = applyStyleFunction(layer, glStyle, 'places');
+    const styles = style(new Feature({geometry: new Point([0, 0]), name: 'ab'}), 1);
+    should(styles[0].getText().getText()).equal('ab');
+  });
+});
+
+describe('breakLines', function() {
+
+  function measure(text) {
+    return text.length * 10;
+  }
+
+  it('balances the width of lines', function() {
+    should(breakLines('The quick brown fox jumps', 200, measure)).eql(['The quick brown', 'fox jumps']);
+    should(breakLines('The quick brown fox jumps', 300, measure)).eql(['The quick brown fox jumps']);
+  });
+
+  it('keeps forced line breaks', function() {
+    should(breakLines('Main\nStreet', 200, measure)).eql(['Main', 'Street']);
+  });
+
+  it('ignores leading and trailing spaces', function() {
+    should(breakLines('  lead', 30, measure)).eql(['lead']);
+    should(breakLines('trail  ', 30, measure)).eql(['trail']);
+    should(breakLines(' Main \n Street ', 200, measure)).eql(['Main', 'Street']);
+  });
+
+  it('breaks between ideographs and kana', function() {
+    should(breakLines('東京都渋谷区', 40, measure)).eql(['東京都', '渋谷区']);
+    should(breakLines('Tokyo東京タワー', 60, measure)).eql(['Tokyo', '東京タワー']);
+  });
+
+  it('follows kinsoku rules for punctuation', function() {
+    should(breakLines('今日は、晴れ。', 40, measure)).eql(['今日は、', '晴れ。']);
+    // '「東京' and '」駅' would be better balanced
+    should(breakLines('「東京」駅', 30, measure)).eql(['「東', '京」駅']);
+  });
+
+  it('breaks Korean at spaces', function() {
+    should(breakLines('서울특별시 중구', 30, measure)).eql(['서울특별시', '중구']);
+  });
+
+  it('does not break inside Thai words', function() {
+    const lines = breakLines('ภาษาไทย', 20, measure);
+    should(lines.join('')).equal('ภาษาไทย');
+    lines.forEach(function(line) {
+      should(['ภาษาไทย', 'ภาษา', 'ไทย']).containEql(line);
+    });
+  });
+});
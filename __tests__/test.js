@@ -1,14 +1,30 @@
 import 'babel-polyfill';
 import should from 'should/as-function';
 import 'should-approximately-deep';
-import {applyBackground, applyStyle, apply, getLayer, getSource} from '../';
+import {
+  applyBackground, applyStyle, apply, getLayer, getSource, setStyle,
+  setPaintProperty, getPaintProperty, setLayoutProperty, getLayoutProperty,
+  setFilter, getFilter, setLayerZoomRange, addLayer, removeLayer, moveLayer,
+  addSource, removeSource, setData,
+  setFeatureState, getFeatureState, removeFeatureState,
+  queryRenderedFeatures, querySourceFeatures
+} from '../';
+import {applyRasterMatrix, createRasterMatrix, hillshade} from '../util';
+import Feature from 'ol/Feature';
+import Point from 'ol/geom/Point';
+import Polygon from 'ol/geom/Polygon';
 import Map from 'ol/Map';
+import HeatmapLayer from 'ol/layer/Heatmap';
+import MVT from 'ol/format/MVT';
+import RenderFeature from 'ol/render/Feature';
 import TileSource from 'ol/source/Tile';
 import VectorSource from 'ol/source/Vector';
 import VectorTileLayer from 'ol/layer/VectorTile';
 import VectorTileSource from 'ol/source/VectorTile';
-import {toLonLat} from 'ol/proj';
+import {get as getProjection, toLonLat} from 'ol/proj';
+import Projection from 'ol/proj/Projection';
 import {createXYZ} from 'ol/tilegrid';
+import {assign} from 'ol/obj';
 import brightV9 from '../node_modules/mapbox-gl-styles/styles/bright-v9.json';
 import WmsJson from '../example/data/wms.json';
 import GeoJson from '../example/data/geojson.json';
@@ -45,6 +61,21 @@ describe('ol-mapbox-style', function() {
         done();
       });
     });
+
+    it('uses the current layers of the OpenLayers layer when sprites are loaded', function(done) {
+      nock('http://dummy')
+        .get('/sprite.json')
+        .reply(200, {});
+      var glStyle = assign({}, brightV9, {sprite: 'http://dummy/sprite'});
+      var layerIds = ['landuse_park'];
+      layer.set('mapbox-layers', layerIds);
+      applyStyle(layer, glStyle, layerIds).then(function() {
+        should(layer.get('mapbox-layers')).eql(['landuse_park', 'landuse_cemetery']);
+        nock.cleanAll();
+        done();
+      });
+      layer.set('mapbox-layers', ['landuse_park', 'landuse_cemetery']);
+    });
   });
 
   describe('apply', function() {
@@ -245,4 +276,1001 @@ describe('ol-mapbox-style', function() {
       });
     });
   });
+
+  describe('setStyle', function() {
+    var target;
+    beforeEach(function() {
+      target = document.createElement('div');
+    });
+
+    it('updates properties without recreating layers', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        var source = getSource(map, 'mapbox');
+        var newStyle = JSON.parse(JSON.stringify(brightV9));
+        newStyle.layers[2].paint['fill-color'] = '#ff0000';
+        setStyle(map, newStyle);
+        should(getLayer(map, 'landuse_park')).equal(layer);
+        should(getSource(map, 'mapbox')).equal(source);
+        should(map.get('mapbox-style').layers[2].paint['fill-color']).equal('#ff0000');
+        should(brightV9.layers[2].paint['fill-color']).equal('#d8e8c8');
+        setStyle(map, brightV9);
+        should(map.get('mapbox-style').layers[2].paint['fill-color']).equal('#d8e8c8');
+        done();
+      });
+    });
+
+    it('keeps layers of styles with a mapbox:// sprite', function(done) {
+      var glStyle = assign({}, brightV9, {sprite: 'mapbox://sprites/mapbox/bright-v9'});
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        var newStyle = JSON.parse(JSON.stringify(glStyle));
+        newStyle.layers[2].paint['fill-color'] = '#ff0000';
+        setStyle(map, newStyle);
+        should(getLayer(map, 'landuse_park')).equal(layer);
+        should(map.get('mapbox-style').layers[2].paint['fill-color']).equal('#ff0000');
+        done();
+      });
+    });
+
+    it('loads the fonts of added layers', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var newStyle = JSON.parse(JSON.stringify(brightV9));
+        newStyle.layers.push({
+          id: 'labels',
+          type: 'symbol',
+          source: 'mapbox',
+          'source-layer': 'place_label',
+          layout: {
+            'text-field': '{name}',
+            'text-font': ['Lobster Regular']
+          }
+        });
+        setStyle(map, newStyle);
+        should(document.querySelector('link[href="https://fonts.googleapis.com/css?family=Lobster"]')).be.ok();
+        done();
+      });
+    });
+
+    it('removes layers without recreating sources', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        var newStyle = JSON.parse(JSON.stringify(brightV9));
+        newStyle.layers.splice(2, 1);
+        setStyle(map, newStyle);
+        should(getLayer(map, 'landuse_park')).be.undefined();
+        should(getLayer(map, 'landuse_cemetery')).equal(layer);
+        should(map.get('mapbox-style').layers).have.length(brightV9.layers.length - 1);
+        done();
+      });
+    });
+
+    it('splits layers and shares their source', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var source = getSource(map, 'mapbox');
+        var newStyle = JSON.parse(JSON.stringify(brightV9));
+        newStyle.sources.points = {
+          type: 'geojson',
+          data: {
+            type: 'FeatureCollection',
+            features: []
+          }
+        };
+        newStyle.layers.splice(3, 0, {
+          id: 'points',
+          type: 'circle',
+          source: 'points'
+        });
+        setStyle(map, newStyle);
+        var layers = map.getLayers().getArray();
+        should(layers).have.length(3);
+        should(getLayer(map, 'points').getSource()).be.instanceof(VectorSource);
+        should(getLayer(map, 'landuse_park')).not.equal(getLayer(map, 'landuse_cemetery'));
+        should(getLayer(map, 'landuse_cemetery').getSource()).equal(source);
+        should(getLayer(map, 'landuse_park').getZIndex()).be.below(getLayer(map, 'points').getZIndex());
+        should(getLayer(map, 'points').getZIndex()).be.below(getLayer(map, 'landuse_cemetery').getZIndex());
+        done();
+      });
+    });
+  });
+
+  describe('setPaintProperty', function() {
+    var target, feature;
+    beforeEach(function() {
+      target = document.createElement('div');
+      feature = new Feature({
+        geometry: new Polygon([[[-1, -1], [-1, 1], [1, 1], [1, -1], [-1, -1]]]),
+        layer: 'landuse',
+        class: 'park'
+      });
+    });
+
+    it('updates the style and the rendered color', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        should(layer.getStyle()(feature, 1)[0].getFill().getColor()).equal('rgba(216,232,200,1)');
+        setPaintProperty(map, 'landuse_park', 'fill-color', '#ff0000');
+        should(getPaintProperty(map, 'landuse_park', 'fill-color')).equal('#ff0000');
+        should(layer.getStyle()(feature, 1)[0].getFill().getColor()).equal('rgba(255,0,0,1)');
+        should(brightV9.layers[2].paint['fill-color']).equal('#d8e8c8');
+        done();
+      });
+    });
+
+    it('throws for unknown layers', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        should.throws(function() {
+          setPaintProperty(map, 'foo', 'fill-color', '#ff0000');
+        });
+        done();
+      });
+    });
+  });
+
+  describe('setLayoutProperty', function() {
+    var target, feature;
+    beforeEach(function() {
+      target = document.createElement('div');
+      feature = new Feature({
+        geometry: new Polygon([[[-1, -1], [-1, 1], [1, 1], [1, -1], [-1, -1]]]),
+        layer: 'landuse',
+        class: 'park'
+      });
+    });
+
+    it('updates the style and hides the layer', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        should(layer.getStyle()(feature, 1)).be.an.Array();
+        setLayoutProperty(map, 'landuse_park', 'visibility', 'none');
+        should(getLayoutProperty(map, 'landuse_park', 'visibility')).equal('none');
+        should(layer.getStyle()(feature, 1)).be.undefined();
+        setLayoutProperty(map, 'landuse_park', 'visibility', undefined);
+        should(getLayoutProperty(map, 'landuse_park', 'visibility')).be.undefined();
+        should(layer.getStyle()(feature, 1)).be.an.Array();
+        done();
+      });
+    });
+  });
+
+  describe('setFilter', function() {
+    var target, feature;
+    beforeEach(function() {
+      target = document.createElement('div');
+      feature = new Feature({
+        geometry: new Polygon([[[-1, -1], [-1, 1], [1, 1], [1, -1], [-1, -1]]]),
+        layer: 'landuse',
+        class: 'garden'
+      });
+    });
+
+    it('updates the filter of a layer', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        should(layer.getStyle()(feature, 1)).be.undefined();
+        setFilter(map, 'landuse_park', ['==', 'class', 'garden']);
+        should(getFilter(map, 'landuse_park')).eql(['==', 'class', 'garden']);
+        should(layer.getStyle()(feature, 1)).be.an.Array();
+        done();
+      });
+    });
+
+    it('rejects invalid filters', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        should.throws(function() {
+          setFilter(map, 'landuse_park', ['foo', 'class', 'garden']);
+        });
+        should(getFilter(map, 'landuse_park')).eql(['==', 'class', 'park']);
+        done();
+      });
+    });
+  });
+
+  describe('setLayerZoomRange', function() {
+    var target, feature;
+    beforeEach(function() {
+      target = document.createElement('div');
+      feature = new Feature({
+        geometry: new Polygon([[[-1, -1], [-1, 1], [1, 1], [1, -1], [-1, -1]]]),
+        layer: 'landuse',
+        class: 'park'
+      });
+    });
+
+    it('updates the zoom range of a layer', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        should(layer.getStyle()(feature, 1)).be.an.Array();
+        setLayerZoomRange(map, 'landuse_park', 17, 22);
+        should(map.get('mapbox-style').layers[2].minzoom).equal(17);
+        should(layer.getStyle()(feature, 1)).be.undefined();
+        setLayerZoomRange(map, 'landuse_park');
+        should(map.get('mapbox-style').layers[2]).not.have.property('minzoom');
+        should(layer.getStyle()(feature, 1)).be.an.Array();
+        done();
+      });
+    });
+  });
+
+  describe('addLayer, removeLayer and moveLayer', function() {
+    var target, glStyle;
+    beforeEach(function() {
+      target = document.createElement('div');
+      glStyle = JSON.parse(JSON.stringify(brightV9));
+      glStyle.sources.points = {
+        type: 'geojson',
+        data: {
+          type: 'FeatureCollection',
+          features: []
+        }
+      };
+    });
+
+    it('adds a layer to an existing OpenLayers layer', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'landuse_park');
+        addLayer(map, {
+          id: 'landuse_garden',
+          type: 'fill',
+          source: 'mapbox',
+          'source-layer': 'landuse',
+          filter: ['==', 'class', 'garden']
+        }, 'landuse_cemetery');
+        should(map.getLayers().getLength()).equal(1);
+        should(getLayer(map, 'landuse_garden')).equal(layer);
+        var layerIds = layer.get('mapbox-layers');
+        should(layerIds.indexOf('landuse_garden')).equal(layerIds.indexOf('landuse_cemetery') - 1);
+        should.throws(function() {
+          addLayer(map, {id: 'landuse_garden', type: 'fill', source: 'mapbox'});
+        });
+        done();
+      });
+    });
+
+    it('splits and merges OpenLayers layers', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var source = getSource(map, 'mapbox');
+        addLayer(map, {
+          id: 'points',
+          type: 'circle',
+          source: 'points'
+        }, 'landuse_cemetery');
+        should(map.getLayers().getLength()).equal(3);
+        should(getLayer(map, 'landuse_park').getZIndex()).be.below(getLayer(map, 'points').getZIndex());
+        should(getLayer(map, 'points').getZIndex()).be.below(getLayer(map, 'landuse_cemetery').getZIndex());
+        should(getLayer(map, 'landuse_cemetery').getSource()).equal(source);
+
+        moveLayer(map, 'points');
+        should(map.getLayers().getLength()).equal(2);
+        should(getLayer(map, 'landuse_park')).equal(getLayer(map, 'landuse_cemetery'));
+        should(getLayer(map, 'points').getZIndex()).be.above(getLayer(map, 'landuse_park').getZIndex());
+        should(map.get('mapbox-style').layers[map.get('mapbox-style').layers.length - 1].id).equal('points');
+
+        removeLayer(map, 'points');
+        should(map.getLayers().getLength()).equal(1);
+        should(getLayer(map, 'points')).be.undefined();
+        should(getSource(map, 'mapbox')).equal(source);
+        done();
+      });
+    });
+  });
+
+  describe('addSource, removeSource and setData', function() {
+    var target, data;
+    beforeEach(function() {
+      target = document.createElement('div');
+      data = {
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          geometry: {
+            type: 'Point',
+            coordinates: [16, 48]
+          },
+          properties: {}
+        }]
+      };
+    });
+
+    it('adds and removes a GeoJSON source', function(done) {
+      var map = apply(target, brightV9);
+
+      map.once('change:mapbox-style', function() {
+        addSource(map, 'points', {
+          type: 'geojson',
+          data: data
+        });
+        should(map.get('mapbox-style').sources.points.data).equal(data);
+        addLayer(map, {
+          id: 'points',
+          type: 'circle',
+          source: 'points'
+        });
+        should(getSource(map, 'points').getFeatures()).have.length(1);
+        should.throws(function() {
+          removeSource(map, 'points');
+        });
+        removeLayer(map, 'points');
+        removeSource(map, 'points');
+        should(map.get('mapbox-style').sources).not.have.property('points');
+        done();
+      });
+    });
+
+    it('replaces the features of a GeoJSON source', function(done) {
+      var glStyle = JSON.parse(JSON.stringify(GeoJsonInline));
+      delete glStyle.sprite;
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'points');
+        var source = layer.getSource();
+        should(source.getFeatures()).have.length(100);
+        setData(map, 'points', data);
+        should(getSource(map, 'points')).equal(source);
+        should(source.getFeatures()).have.length(1);
+        should(getLayer(map, 'points')).equal(layer);
+        should(map.get('mapbox-style').sources.points.data).equal(data);
+        done();
+      });
+    });
+  });
+
+  describe('setFeatureState', function() {
+    var target, glStyle, feature;
+    beforeEach(function() {
+      target = document.createElement('div');
+      glStyle = {
+        version: 8,
+        sources: {
+          points: {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: []
+            }
+          }
+        },
+        layers: [{
+          id: 'points',
+          type: 'circle',
+          source: 'points',
+          paint: {
+            'circle-radius': 5,
+            'circle-color': ['case', ['boolean', ['feature-state', 'hover'], false], '#ff0000', '#0000ff']
+          }
+        }]
+      };
+      feature = new Feature(new Point([0, 0]));
+      feature.setId(1);
+    });
+
+    it('uses the feature state in expressions', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var styleFunction = getLayer(map, 'points').getStyle();
+        should(styleFunction(feature, 1)[0].getImage().getFill().getColor()).equal('rgba(0,0,255,1)');
+        setFeatureState(map, {source: 'points', id: 1}, {hover: true});
+        should(getFeatureState(map, {source: 'points', id: 1})).eql({hover: true});
+        should(styleFunction(feature, 1)[0].getImage().getFill().getColor()).equal('rgba(255,0,0,1)');
+        removeFeatureState(map, {source: 'points', id: 1}, 'hover');
+        should(getFeatureState(map, {source: 'points', id: 1})).eql({});
+        should(styleFunction(feature, 1)[0].getImage().getFill().getColor()).equal('rgba(0,0,255,1)');
+        done();
+      });
+    });
+
+    it('merges and removes feature states', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        setFeatureState(map, {source: 'points', id: 1}, {hover: true});
+        setFeatureState(map, {source: 'points', id: 1}, {selected: true});
+        setFeatureState(map, {source: 'points', id: 2}, {hover: true});
+        should(getFeatureState(map, {source: 'points', id: 1})).eql({hover: true, selected: true});
+        removeFeatureState(map, {source: 'points', id: 1});
+        should(getFeatureState(map, {source: 'points', id: 1})).eql({});
+        should(getFeatureState(map, {source: 'points', id: 2})).eql({hover: true});
+        removeFeatureState(map, {source: 'points'});
+        should(getFeatureState(map, {source: 'points', id: 2})).eql({});
+        done();
+      });
+    });
+
+    it('only refreshes layers that use the feature state', function(done) {
+      glStyle.sources.lines = {
+        type: 'geojson',
+        data: {
+          type: 'FeatureCollection',
+          features: []
+        }
+      };
+      glStyle.layers.push({
+        id: 'lines',
+        type: 'line',
+        source: 'lines'
+      }, {
+        id: 'points-outline',
+        type: 'circle',
+        source: 'points',
+        paint: {
+          'circle-radius': 6
+        }
+      });
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var changed = [];
+        ['points', 'lines', 'points-outline'].forEach(function(layerId) {
+          getLayer(map, layerId).on('change', function() {
+            changed.push(layerId);
+          });
+        });
+        setFeatureState(map, {source: 'points', id: 1}, {hover: true});
+        removeFeatureState(map, {source: 'points', id: 1});
+        should(changed).eql(['points', 'points']);
+        done();
+      });
+    });
+  });
+
+  describe('queryRenderedFeatures', function() {
+    var target, glStyle, feature;
+    beforeEach(function() {
+      target = document.createElement('div');
+      glStyle = {
+        version: 8,
+        sources: {
+          points: {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: []
+            }
+          }
+        },
+        layers: [{
+          id: 'small',
+          type: 'circle',
+          source: 'points',
+          paint: {
+            'circle-radius': 5
+          }
+        }, {
+          id: 'large',
+          type: 'circle',
+          source: 'points',
+          filter: ['==', 'size', 'large'],
+          paint: {
+            'circle-radius': 10
+          }
+        }, {
+          id: 'zoomed',
+          type: 'circle',
+          source: 'points',
+          minzoom: 10,
+          paint: {
+            'circle-radius': 15
+          }
+        }]
+      };
+      feature = new Feature({
+        geometry: new Point([0, 0]),
+        size: 'large'
+      });
+      feature.setId(1);
+    });
+
+    function render(map, resolution) {
+      map.getView().setResolution(resolution);
+      var layer = getLayer(map, 'small');
+      layer.getStyle()(feature, resolution);
+      map.forEachFeatureAtPixel = function(pixel, callback, options) {
+        if (options.layerFilter(layer)) {
+          callback(feature, layer);
+        }
+      };
+    }
+
+    it('returns features with the style layers that rendered them', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        render(map, 78271.51696402048 / 4);
+        var features = queryRenderedFeatures(map, [0, 0]);
+        should(features.length).equal(2);
+        should(features[0].feature).equal(feature);
+        should(features[0].id).equal(1);
+        should(features[0].layer).equal('large');
+        should(features[0].source).equal('points');
+        should(features[1].layer).equal('small');
+        done();
+      });
+    });
+
+    it('honors visibility, zoom range and filters', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        render(map, 78271.51696402048 / 4096);
+        should(queryRenderedFeatures(map, [0, 0]).map(function(result) {
+          return result.layer;
+        })).eql(['zoomed', 'large', 'small']);
+        setFilter(map, 'large', ['==', 'size', 'small']);
+        setLayoutProperty(map, 'zoomed', 'visibility', 'none');
+        should(queryRenderedFeatures(map, [0, 0]).map(function(result) {
+          return result.layer;
+        })).eql(['small']);
+        done();
+      });
+    });
+
+    it('filters by layers and filter options', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        render(map, 78271.51696402048 / 4096);
+        should(queryRenderedFeatures(map, [0, 0], {layers: ['small', 'zoomed']}).map(function(result) {
+          return result.layer;
+        })).eql(['zoomed', 'small']);
+        should(queryRenderedFeatures(map, [0, 0], {filter: ['==', 'size', 'small']})).eql([]);
+        done();
+      });
+    });
+  });
+
+  describe('querySourceFeatures', function() {
+
+    function createFeature(id, properties) {
+      var feature = new Feature(assign({geometry: new Point([0, 0])}, properties));
+      feature.setId(id);
+      return feature;
+    }
+
+    it('returns filtered features of a GeoJSON source', function(done) {
+      var target = document.createElement('div');
+      var map = apply(target, {
+        version: 8,
+        sources: {
+          points: {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: []
+            }
+          }
+        },
+        layers: [{
+          id: 'points',
+          type: 'circle',
+          source: 'points'
+        }]
+      });
+
+      map.once('change:mapbox-style', function() {
+        var source = getSource(map, 'points');
+        var small = createFeature(1, {size: 'small'});
+        var large = createFeature(2, {size: 'large'});
+        source.addFeatures([small, large]);
+        should(querySourceFeatures(map, 'points')).eql([small, large]);
+        should(querySourceFeatures(map, 'points', {filter: ['==', 'size', 'large']})).eql([large]);
+        should(querySourceFeatures(map, 'points', {sourceLayer: 'ignored'})).eql([small, large]);
+        should(function() {
+          querySourceFeatures(map, 'unknown');
+        }).throw('Source unknown not found in map.');
+        done();
+      });
+    });
+
+    it('returns deduplicated features of loaded vector tiles', function() {
+      var source = new VectorTileSource({
+        format: new MVT(),
+        tileGrid: createXYZ({tileSize: 512, maxZoom: 22}),
+        url: 'http://example.com/{z}/{x}/{y}.pbf'
+      });
+      var layer = new VectorTileLayer({source: source});
+      layer.set('mapbox-source', 'tiles');
+      var map = new Map({layers: [layer]});
+      map.setSize([1024, 1024]);
+      map.getView().setCenter([0, 0]);
+      map.getView().setResolution(39135.75848201024);
+      var lake = createFeature(1, {layer: 'water', class: 'lake'});
+      var ocean = createFeature(2, {layer: 'water', class: 'ocean'});
+      var road = createFeature(1, {layer: 'road', class: 'primary'});
+      var projection = getProjection('EPSG:3857');
+      [
+        [lake, ocean, road],
+        [createFeature(1, {layer: 'water', class: 'lake'})]
+      ].forEach(function(features, x) {
+        var tile = source.getTile(1, x, -1, 1, projection);
+        tile.getTile(tile.tileKeys[0]).setFeatures(features);
+      });
+      // tiles of other zoom levels are not used
+      var tile = source.getTile(0, 0, -1, 1, projection);
+      tile.getTile(tile.tileKeys[0]).setFeatures([createFeature(3, {layer: 'water', class: 'lake'})]);
+
+      should(querySourceFeatures(map, 'tiles')).eql([lake, ocean, road]);
+      should(querySourceFeatures(map, 'tiles', {sourceLayer: 'water'})).eql([lake, ocean]);
+      should(querySourceFeatures(map, 'tiles', {
+        sourceLayer: 'water',
+        filter: ['==', 'class', 'lake']
+      })).eql([lake]);
+    });
+  });
+
+  describe('raster paint properties', function() {
+    var target, glStyle;
+    beforeEach(function() {
+      target = document.createElement('div');
+      glStyle = {
+        version: 8,
+        sources: {
+          satellite: {
+            type: 'raster',
+            tileSize: 256,
+            tiles: ['http://example.com/{z}/{x}/{y}.png']
+          }
+        },
+        layers: [{
+          id: 'satellite',
+          type: 'raster',
+          source: 'satellite',
+          paint: {
+            'raster-opacity': {
+              stops: [[0, 1], [10, 0.5]]
+            }
+          }
+        }]
+      };
+    });
+
+    it('evaluates raster-opacity for the current zoom', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'satellite');
+        map.getView().setZoom(10);
+        layer.dispatchEvent('precompose');
+        should(layer.getOpacity()).equal(0.5);
+        map.getView().setZoom(0);
+        layer.dispatchEvent('precompose');
+        should(layer.getOpacity()).equal(1);
+        done();
+      });
+    });
+
+    it('applies color adjustments for the current zoom', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var layer = getLayer(map, 'satellite');
+        var source = getSource(map, 'satellite');
+        var refreshed = 0;
+        source.refresh = function() {
+          ++refreshed;
+        };
+        setPaintProperty(map, 'satellite', 'raster-saturation', {
+          stops: [[0, 0], [10, -1]]
+        });
+        should(refreshed).equal(0);
+        var data;
+        var context = document.createElement('canvas').getContext('2d');
+        context.canvas.width = context.canvas.height = 1;
+        context.getImageData = function() {
+          return {data: [30, 60, 90, 255]};
+        };
+        context.putImageData = function(imageData) {
+          data = imageData.data;
+        };
+        map.getView().setZoom(10);
+        layer.dispatchEvent({type: 'precompose', context: context});
+        layer.dispatchEvent({type: 'postcompose', context: context});
+        should(data).be.approximatelyDeep([60, 60, 60, 255], 1e-9);
+        data = undefined;
+        map.getView().setZoom(0);
+        layer.dispatchEvent({type: 'precompose', context: context});
+        layer.dispatchEvent({type: 'postcompose', context: context});
+        should(data).be.undefined();
+        done();
+      });
+    });
+
+    it('creates color matrices like Mapbox GL', function() {
+      should(createRasterMatrix(0, 0, 0, 0, 1)).be.undefined();
+      var third = 1 / 3;
+      should(createRasterMatrix(0, -1, 0, 0, 1)).be.approximatelyDeep([
+        third, third, third, 0,
+        third, third, third, 0,
+        third, third, third, 0
+      ], 1e-9);
+      should(createRasterMatrix(0, 0, 0, 0.5, 1)).be.approximatelyDeep([
+        0.5, 0, 0, 127.5,
+        0, 0.5, 0, 127.5,
+        0, 0, 0.5, 127.5
+      ], 1e-9);
+      var data = [30, 60, 90, 255];
+      applyRasterMatrix(data, createRasterMatrix(0, -1, 0, 0, 1));
+      should(data).be.approximatelyDeep([60, 60, 60, 255], 1e-9);
+      data = [255, 0, 0, 255];
+      applyRasterMatrix(data, createRasterMatrix(120, 0, 0, 0, 1));
+      should(data).be.approximatelyDeep([0, 255, 0, 255], 1e-9);
+    });
+  });
+
+  describe('hillshade layers', function() {
+    var target, glStyle;
+    beforeEach(function() {
+      target = document.createElement('div');
+      glStyle = {
+        version: 8,
+        sources: {
+          terrain: {
+            type: 'raster-dem',
+            url: 'mapbox://mapbox.terrain-rgb'
+          }
+        },
+        layers: [{
+          id: 'hillshade',
+          type: 'hillshade',
+          source: 'terrain'
+        }]
+      };
+    });
+
+    function encode(elevations) {
+      var data = [];
+      elevations.forEach(function(elevation) {
+        var value = (elevation + 10000) * 10;
+        data.push(Math.floor(value / 65536), Math.floor(value / 256) % 256, value % 256, 255);
+      });
+      return data;
+    }
+
+    var light = {
+      direction: 335,
+      exaggeration: 0.5,
+      shadow: {r: 0, g: 0, b: 0, a: 1},
+      highlight: {r: 1, g: 1, b: 1, a: 1},
+      accent: {r: 0, g: 0, b: 0, a: 1}
+    };
+    var extent = [0, 0, 1000, 1000];
+
+    it('creates a tile layer for raster-dem sources', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var source = getSource(map, 'terrain');
+        should(source.getUrls()[0]).equal('https://a.tiles.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw');
+        var refreshed = 0;
+        source.refresh = function() {
+          ++refreshed;
+        };
+        setPaintProperty(map, 'hillshade', 'hillshade-exaggeration', 1);
+        should(refreshed).equal(1);
+        done();
+      });
+    });
+
+    it('leaves flat terrain transparent', function() {
+      var data = encode([100, 100, 100, 100, 100, 100, 100, 100, 100]);
+      hillshade(data, 3, 3, 'mapbox', 12, extent, light);
+      should(data[4 * 4 + 3]).equal(0);
+    });
+
+    it('shades tile borders with the elevations of neighbouring tiles', function() {
+      var flat = encode([100, 100, 100, 100, 100, 100, 100, 100, 100]);
+      var data = flat.slice();
+      hillshade(data, 3, 3, 'mapbox', 12, extent, light);
+      should(data[5 * 4 + 3]).equal(0);
+      var offsets = [];
+      data = flat.slice();
+      hillshade(data, 3, 3, 'mapbox', 12, extent, light, function(dx, dy) {
+        offsets.push([dx, dy]);
+        if (dx == 1 && dy == 0) {
+          return encode([1000, 1000, 1000, 1000, 1000, 1000, 1000, 1000, 1000]);
+        }
+      });
+      should(data[5 * 4 + 3]).be.above(0);
+      should(data[4 * 4 + 3]).equal(0);
+      should(offsets).containDeep([[1, 0], [-1, 0], [0, -1], [0, 1], [1, 1]]);
+    });
+
+    it('shades slopes facing away from the light', function() {
+      var lit = encode([0, 500, 1000, 0, 500, 1000, 0, 500, 1000]);
+      var shaded = encode([1000, 500, 0, 1000, 500, 0, 1000, 500, 0]);
+      hillshade(lit, 3, 3, 'mapbox', 12, extent, light);
+      hillshade(shaded, 3, 3, 'mapbox', 12, extent, light);
+      should(lit[4 * 4 + 3]).be.above(0);
+      should(shaded[4 * 4 + 3]).be.above(0);
+      should(shaded[4 * 4]).be.below(lit[4 * 4]);
+    });
+
+    it('decodes terrarium elevations', function() {
+      var data = [128, 100, 0, 255, 128, 100, 0, 255, 128, 100, 0, 255, 128, 100, 0, 255];
+      hillshade(data, 2, 2, 'terrarium', 12, extent, light);
+      should(data[3]).equal(0);
+    });
+  });
+
+  describe('heatmap layers', function() {
+    var target, glStyle;
+    beforeEach(function() {
+      target = document.createElement('div');
+      glStyle = {
+        version: 8,
+        sources: {
+          incidents: {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: []
+            }
+          }
+        },
+        layers: [{
+          id: 'heat',
+          type: 'heatmap',
+          source: 'incidents',
+          filter: ['has', 'severity'],
+          paint: {
+            'heatmap-weight': ['get', 'severity'],
+            'heatmap-intensity': 0.5,
+            'heatmap-radius': {
+              stops: [[0, 10], [10, 40]]
+            },
+            'heatmap-opacity': 0.8
+          }
+        }, {
+          id: 'points',
+          type: 'circle',
+          source: 'incidents',
+          paint: {
+            'circle-radius': 5
+          }
+        }]
+      };
+    });
+
+    it('renders heatmap layers with separate heatmap layers', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var heat = getLayer(map, 'heat');
+        should(heat).be.instanceof(HeatmapLayer);
+        should(heat.get('mapbox-layers')).eql(['heat']);
+        should(heat.getVisible()).be.true();
+        should(getLayer(map, 'points')).not.be.instanceof(HeatmapLayer);
+        done();
+      });
+    });
+
+    it('evaluates heatmap-weight and the filter per feature', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var styleFunction = getLayer(map, 'heat').getStyle();
+        var feature = new Feature({geometry: new Point([0, 0]), severity: 0.5});
+        should(styleFunction(feature, 1)[0].getImage().getOpacity()).be.approximately(0.5, 0.01);
+        should(styleFunction(new Feature(new Point([0, 0])), 1)).be.undefined();
+        done();
+      });
+    });
+
+    it('updates radius, opacity and gradient for the current zoom', function(done) {
+      var map = apply(target, glStyle);
+
+      map.once('change:mapbox-style', function() {
+        var heat = getLayer(map, 'heat');
+        map.getView().setZoom(10);
+        heat.dispatchEvent('precompose');
+        should(heat.getRadius()).equal(20);
+        should(heat.getBlur()).equal(20);
+        should(heat.getOpacity()).equal(0.8);
+        var gradient = heat.getGradient();
+        should(gradient.length).equal(17);
+        should(gradient[0]).equal('rgba(0,0,0,0)');
+        // heatmap-intensity of 0.5 halves the density
+        should(gradient[16]).equal('rgba(0,255,0,1)');
+        setLayoutProperty(map, 'heat', 'visibility', 'none');
+        should(heat.getVisible()).be.false();
+        done();
+      });
+    });
+
+    var vectorStyle = {
+      version: 8,
+      sources: {
+        incidents: {
+          type: 'vector',
+          tiles: ['http://example.com/{z}/{x}/{y}.pbf']
+        }
+      },
+      layers: [{
+        id: 'heat',
+        type: 'heatmap',
+        source: 'incidents',
+        'source-layer': 'incidents'
+      }]
+    };
+
+    it('renders point features of loaded vector tiles', function(done) {
+      var map = apply(target, vectorStyle);
+
+      map.once('change:mapbox-style', function() {
+        var source = getLayer(map, 'heat').getSource();
+        should(source).be.instanceof(VectorSource);
+        var tileSource = getSource(map, 'incidents');
+        should(tileSource).be.instanceof(VectorTileSource);
+        var projection = getProjection('EPSG:3857');
+        var extent = projection.getExtent();
+        var tile = tileSource.getTile(0, 0, -1, 1, projection);
+        var sourceTile = tile.getTile(tile.tileKeys[0]);
+        sourceTile.setProjection(new Projection({code: '', units: 'tile-pixels'}));
+        sourceTile.setFeatures([
+          new RenderFeature('Point', [1024, 3072], [], {layer: 'incidents'}, 1),
+          new RenderFeature('LineString', [0, 0, 4096, 4096], [4], {layer: 'incidents'}, 2)
+        ]);
+        source.once('addfeature', function() {
+          var features = source.getFeatures();
+          should(features).have.length(1);
+          should(features[0].getId()).equal(1);
+          should(features[0].get('layer')).equal('incidents');
+          var coordinate = features[0].getGeometry().getCoordinates();
+          should(coordinate[0]).be.approximately(extent[0] / 2, 1e-6);
+          should(coordinate[1]).be.approximately(extent[1] / 2, 1e-6);
+          done();
+        });
+        source.loadFeatures(extent, 78271.51696402048, projection);
+      });
+    });
+
+    it('uses features of rendered vector tiles without transforming them again', function(done) {
+      var map = apply(target, vectorStyle);
+
+      map.once('change:mapbox-style', function() {
+        var source = getLayer(map, 'heat').getSource();
+        var projection = getProjection('EPSG:3857');
+        var extent = projection.getExtent();
+        var tile = getSource(map, 'incidents').getTile(0, 0, -1, 1, projection);
+        var sourceTile = tile.getTile(tile.tileKeys[0]);
+        // vector tile layers transform the features of tiles they render
+        sourceTile.setProjection(projection);
+        sourceTile.setFeatures([
+          new RenderFeature('Point', [1000, 2000], [], {layer: 'incidents'}, 1)
+        ]);
+        source.once('addfeature', function() {
+          should(source.getFeatures()[0].getGeometry().getCoordinates()).eql([1000, 2000]);
+          done();
+        });
+        source.loadFeatures(extent, 78271.51696402048, projection);
+      });
+    });
+  });
 });
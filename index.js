@@ -4,16 +4,44 @@ Copyright 2016-present Boundless Spatial, Inc.
 License: https://raw.githubusercontent.com/boundlessgeo/ol-mapbox-gl-style/master/LICENSE
 */
 
-import {Color} from '@mapbox/mapbox-gl-style-spec';
+import {
+  Color, derefLayers, diff,
+  featureFilter as createFilter
+} from '@mapbox/mapbox-gl-style-spec';
 import mb2css from 'mapbox-to-css-font';
-import applyStyleFunction, {getValue} from './stylefunction';
+import applyStyleFunction, {
+  getValue,
+  clearFunctionCache,
+  clearFilterCache,
+  evaluateFilter,
+  getHeatmapColor,
+  setRTLTextPlugin,
+  toGlFeature
+} from './stylefunction';
+import {
+  applyRasterMatrix, createRasterMatrix,
+  defaultResolutions, getZoom, hillshade
+} from './util';
 import googleFonts from 'webfont-matcher/lib/fonts/google';
+import Feature from 'ol/Feature';
+import MultiPoint from 'ol/geom/MultiPoint';
+import Point from 'ol/geom/Point';
+import TileState from 'ol/TileState';
+import {DEVICE_PIXEL_RATIO} from 'ol/has';
+import {getCenter, getIntersection} from 'ol/extent';
+import {tile as tileStrategy} from 'ol/loadingstrategy';
 import {fromLonLat} from 'ol/proj';
+import Units from 'ol/proj/Units';
 import {createXYZ} from 'ol/tilegrid';
 import Map from 'ol/Map';
 import GeoJSON from 'ol/format/GeoJSON';
 import MVT from 'ol/format/MVT';
+import {xhr} from 'ol/featureloader';
+import {assign} from 'ol/obj';
 import {unByKey} from 'ol/Observable';
+import {listenOnce} from 'ol/events';
+import LRUCache from 'ol/structs/LRUCache';
+import HeatmapLayer from 'ol/layer/Heatmap';
 import TileLayer from 'ol/layer/Tile';
 import VectorLayer from 'ol/layer/Vector';
 import VectorTileLayer from 'ol/layer/VectorTile';
@@ -22,6 +50,8 @@ import VectorSource from 'ol/source/Vector';
 import VectorTileSource from 'ol/source/VectorTile';
 import XYZ from 'ol/source/XYZ';
 
+export {setRTLTextPlugin};
+
 var availableFonts;
 
 function loadFont(fonts) {
@@ -146,10 +176,14 @@ export function applyStyle(layer, glStyle, source, path, resolutions) {
         });
     }
 
+    // Layers created by `apply()` may be regrouped while sprites and fonts are
+    // loading, so their `mapbox-layers` are read again when loading is done.
+    var ownLayers = source === layer.get('mapbox-layers');
     var style;
     function onChange() {
       if (!style && (!glStyle.sprite || spriteData) && (!availableFonts || availableFonts.length > 0)) {
-        style = applyStyleFunction(layer, glStyle, source, resolutions, spriteData, spriteImageUrl, availableFonts);
+        var layerIds = ownLayers ? layer.get('mapbox-layers') : source;
+        style = applyStyleFunction(layer, glStyle, layerIds, resolutions, spriteData, spriteImageUrl, availableFonts);
         resolve();
       } else if (style) {
         layer.setStyle(style);
@@ -174,38 +208,56 @@ export function applyStyle(layer, glStyle, source, path, resolutions) {
   });
 }
 
-function setBackground(map, layer) {
-  const background = {
-    type: layer.type
+function updateBackground(map, layer) {
+  var element = map.getTargetElement();
+  if (!element) {
+    return;
+  }
+  var layout = layer.layout || {};
+  var paint = layer.paint || {};
+  var background = {
+    type: layer.type,
+    paint: paint,
+    id: 'olms-bg-' + paint['background-opacity'] + paint['background-color']
   };
-  function updateStyle() {
-    var element = map.getTargetElement();
-    if (!element) {
-      return;
-    }
-    var layout = layer.layout || {};
-    var paint = layer.paint || {};
-    background['paint'] = paint;
-    background.id = 'olms-bg-' + paint['background-opacity'] + paint['background-color'];
-    var zoom = map.getView().getZoom();
-    if (paint['background-color'] !== undefined) {
-      const bg = getValue(background, 'paint', 'background-color', zoom, {});
-      element.style.background = Color.parse(bg).toString();
-    }
-    if (paint['background-opacity'] !== undefined) {
-      element.style.opacity = getValue(background, 'paint', 'background-opacity', zoom, {});
-    }
-    if (layout.visibility == 'none') {
-      element.style.backgroundColor = '';
-      element.style.opacity = '';
-    }
+  var zoom = map.getView().getZoom();
+  if (paint['background-color'] !== undefined) {
+    const bg = getValue(background, 'paint', 'background-color', zoom, {});
+    element.style.background = Color.parse(bg).toString();
+  }
+  if (paint['background-opacity'] !== undefined) {
+    element.style.opacity = getValue(background, 'paint', 'background-opacity', zoom, {});
   }
-  if (map.getTargetElement()) {
-    updateStyle();
+  if (layout.visibility == 'none') {
+    element.style.backgroundColor = '';
+    element.style.opacity = '';
   }
+}
+
+function setBackground(map, layer) {
+  function updateStyle() {
+    updateBackground(map, layer);
+  }
+  updateStyle();
   map.on(['change:resolution', 'change:target'], updateStyle);
 }
 
+function resetBackground(map) {
+  var element = map.getTargetElement();
+  if (element) {
+    element.style.background = element.style.opacity = '';
+  }
+}
+
+function updateStyleBackground(map) {
+  var glStyle = map.get('mapbox-style');
+  glStyle.layers.forEach(function(l) {
+    if (l.type == 'background') {
+      updateBackground(map, l);
+    }
+  });
+}
+
 /**
  * Applies properties of the Mapbox Style's first `background` layer to the map.
  * @param {ol.Map} map OpenLayers Map.
@@ -231,192 +283,727 @@ function getSourceIdByRef(layers, ref) {
   return sourceId;
 }
 
-function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
-  var view = map.getView();
-  if ('center' in glStyle && !view.getCenter()) {
-    view.setCenter(fromLonLat(glStyle.center));
+function cloneLayer(glLayer) {
+  var layer = assign({}, glLayer);
+  if (glLayer.layout) {
+    layer.layout = assign({}, glLayer.layout);
   }
-  if ('zoom' in glStyle && view.getZoom() === undefined) {
-    view.setZoom(glStyle.zoom);
+  if (glLayer.paint) {
+    layer.paint = assign({}, glLayer.paint);
   }
-  if (!view.getCenter() || view.getZoom() === undefined) {
-    view.fit(view.getProjection().getExtent(), {
-      nearest: true,
-      size: map.getSize()
-    });
+  return layer;
+}
+
+function cloneStyle(glStyle) {
+  var style = assign({}, glStyle);
+  style.sources = {};
+  for (var id in glStyle.sources) {
+    style.sources[id] = assign({}, glStyle.sources[id]);
   }
-  if (glStyle.sprite) {
-    if (glStyle.sprite.indexOf('mapbox://') == 0) {
-      glStyle.sprite = baseUrl + '/sprite' + accessToken;
-    } else if (glStyle.sprite.indexOf('http') != 0) {
-      glStyle.sprite = (host ? (host + path) : '') + glStyle.sprite + accessToken;
-    }
-  }
-
-  var glLayers = glStyle.layers;
-  var geoJsonFormat = new GeoJSON();
-  var layerIds = [];
-
-  function finalizeLayer(layer) {
-    if (layerIds.length > 0) {
-      map.addLayer(layer);
-      var setStyle = function() {
-        applyStyle(layer, glStyle, layerIds, path).then(function() {
-          layer.setVisible(true);
-        }, function(e) {
-          /*eslint no-console: ["error", { allow: ["error"] }] */
-          console.error(e);
-        });
-      };
-      if (layer.getSource()) {
-        setStyle();
-      } else {
-        layer.once('change:source', setStyle);
-      }
-    }
+  style.layers = glStyle.layers.map(cloneLayer);
+  return style;
+}
+
+const rasterAdjustments = [
+  'raster-hue-rotate', 'raster-saturation', 'raster-contrast',
+  'raster-brightness-min', 'raster-brightness-max'
+];
+
+function getRasterMatrix(glLayer, zoom) {
+  const values = rasterAdjustments.map(function(name) {
+    return getValue(glLayer, 'paint', name, zoom, {});
+  });
+  return createRasterMatrix.apply(undefined, values);
+}
+
+function getRasterProcessor(glLayer, glSource, tileGrid, tileCoord, zoom) {
+  if (glLayer.type == 'hillshade') {
+    const light = {
+      direction: getValue(glLayer, 'paint', 'hillshade-illumination-direction', zoom, {}),
+      exaggeration: getValue(glLayer, 'paint', 'hillshade-exaggeration', zoom, {}),
+      shadow: getValue(glLayer, 'paint', 'hillshade-shadow-color', zoom, {}),
+      highlight: getValue(glLayer, 'paint', 'hillshade-highlight-color', zoom, {}),
+      accent: getValue(glLayer, 'paint', 'hillshade-accent-color', zoom, {})
+    };
+    // the slope is derived from the elevation data of the tile's own zoom level
+    const tileZoom = tileCoord[0];
+    const extent = tileGrid.getTileCoordExtent(tileCoord);
+    return function(imageData, neighbour) {
+      hillshade(imageData.data, imageData.width, imageData.height, glSource.encoding, tileZoom, extent, light,
+        neighbour);
+    };
   }
+}
 
-  var glLayer, glSource, glSourceId, id, layer, mapid, url;
-  for (var i = 0, ii = glLayers.length; i < ii; ++i) {
-    glLayer = glLayers[i];
-    if (glLayer.type == 'background') {
-      setBackground(map, glLayer);
+function getDemTileKey(tileCoord, dx, dy) {
+  // rows of tile coordinates increase to the north
+  return [tileCoord[0], tileCoord[1] + dx, tileCoord[2] - dy].toString();
+}
+
+// Shades a raster-dem tile with the elevation data of its loaded neighbours,
+// and remembers which neighbours were used.
+function shadeDemTile(demTiles, demTile, imageData) {
+  const tileCoord = demTile.tile.getTileCoord();
+  demTile.neighbours = {};
+  demTile.process(imageData, function(dx, dy) {
+    const key = getDemTileKey(tileCoord, dx, dy);
+    const neighbour = demTiles.containsKey(key) ? demTiles.get(key) : undefined;
+    if (neighbour && neighbour.width == demTile.width && neighbour.height == demTile.height) {
+      demTile.neighbours[key] = true;
+      return neighbour.data;
+    }
+  });
+}
+
+// Loads a raster-dem tile, and shades its loaded neighbours again when they
+// were shaded without the elevation data of this tile.
+function loadDemTile(tile, src, process, demTiles, onChange) {
+  loadRasterTile(tile, src, function(imageData) {
+    const tileCoord = tile.getTileCoord();
+    const key = getDemTileKey(tileCoord, 0, 0);
+    const demTile = {
+      tile: tile,
+      process: process,
+      data: imageData.data.slice(),
+      width: imageData.width,
+      height: imageData.height
+    };
+    if (demTiles.containsKey(key)) {
+      demTiles.replace(key, demTile);
     } else {
-      id = glLayer.source || getSourceIdByRef(glLayers, glLayer.ref);
-      if (id != glSourceId) {
-        finalizeLayer(layer);
-        layerIds = [];
-        glSource = glStyle.sources[id];
-        url = glSource.url;
-        var tiles = glSource.tiles;
-        if (url) {
-          if (url.indexOf('mapbox://') == 0) {
-            mapid = url.replace('mapbox://', '');
-            tiles = ['a', 'b', 'c', 'd'].map(function(host) {
-              return 'https://' + host + '.tiles.mapbox.com/v4/' + mapid +
-                  '/{z}/{x}/{y}.' +
-                  (glSource.type == 'vector' ? 'vector.pbf' : 'png') +
-                  accessToken;
-            });
+      demTiles.set(key, demTile);
+      demTiles.prune();
+    }
+    shadeDemTile(demTiles, demTile, imageData);
+    for (let dx = -1; dx <= 1; ++dx) {
+      for (let dy = -1; dy <= 1; ++dy) {
+        const neighbourKey = getDemTileKey(tileCoord, dx, dy);
+        if ((dx || dy) && demTiles.containsKey(neighbourKey)) {
+          const neighbour = demTiles.get(neighbourKey);
+          const state = neighbour.tile.getState();
+          if (!neighbour.neighbours[key] && (state == TileState.LOADING || state == TileState.LOADED)) {
+            const canvas = document.createElement('canvas');
+            canvas.width = neighbour.width;
+            canvas.height = neighbour.height;
+            const context = canvas.getContext('2d');
+            const neighbourData = context.createImageData(neighbour.width, neighbour.height);
+            neighbourData.data.set(neighbour.data);
+            shadeDemTile(demTiles, neighbour, neighbourData);
+            context.putImageData(neighbourData, 0, 0);
+            const image = neighbour.tile.getImage();
+            if (state == TileState.LOADED) {
+              // loaded tiles are not rendered again by themselves
+              listenOnce(image, 'load', onChange);
+            }
+            image.src = canvas.toDataURL();
           }
         }
+      }
+    }
+  });
+}
+
+function loadRasterTile(tile, src, process) {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = function() {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+    process(imageData);
+    context.putImageData(imageData, 0, 0);
+    tile.getImage().src = canvas.toDataURL();
+  };
+  image.onerror = function() {
+    tile.getImage().src = src;
+  };
+  image.src = src;
+}
+
+function updateRasterLayer(layer, glLayer) {
+  layer.setVisible(!glLayer.layout || glLayer.layout.visibility !== 'none');
+  if (glLayer.type != 'hillshade') {
+    return;
+  }
+  // hillshade paint properties affect how tiles are processed
+  const paint = JSON.stringify(glLayer.paint || {});
+  const previous = layer.get('mapbox-hillshade-paint');
+  layer.set('mapbox-hillshade-paint', paint);
+  if (previous !== undefined && previous != paint && layer.getSource()) {
+    // tiles are processed when they are loaded
+    layer.getSource().refresh();
+  }
+}
+
+function setupRasterLayer(map, layer, glStyle) {
+  const glLayer = getStyleLayer(glStyle, layer.get('mapbox-layers')[0]);
+  updateRasterLayer(layer, glLayer);
+  // Color adjustments are applied to the rendered layer, so they can change
+  // with the zoom. The layers below are set aside while this layer is drawn.
+  let below = null;
+  let matrix;
+  layer.on('precompose', function(e) {
+    const glLayer = getStyleLayer(glStyle, layer.get('mapbox-layers')[0]);
+    const zoom = map.getView().getZoom();
+    matrix = undefined;
+    if (glLayer && glLayer.type == 'raster' && zoom !== undefined) {
+      layer.setOpacity(getValue(glLayer, 'paint', 'raster-opacity', zoom, {}));
+      matrix = getRasterMatrix(glLayer, zoom);
+    }
+    const context = e.context;
+    if (matrix && context) {
+      const canvas = context.canvas;
+      if (!below) {
+        below = document.createElement('canvas').getContext('2d');
+      }
+      below.canvas.width = canvas.width;
+      below.canvas.height = canvas.height;
+      below.drawImage(canvas, 0, 0);
+      context.save();
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      context.restore();
+    }
+  });
+  layer.on('postcompose', function(e) {
+    const context = e.context;
+    if (matrix && context) {
+      const canvas = context.canvas;
+      const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+      applyRasterMatrix(imageData.data, matrix);
+      context.putImageData(imageData, 0, 0);
+      context.save();
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.globalCompositeOperation = 'destination-over';
+      context.drawImage(below.canvas, 0, 0);
+      context.restore();
+    }
+  });
+}
 
-        if (glSource.type == 'vector') {
-          layer = tiles ? (function() {
-            var tileGrid = createXYZ({
-              tileSize: 512,
-              maxZoom: 'maxzoom' in glSource ? glSource.maxzoom : 22,
-              minZoom: glSource.minzoom
-            });
-            return new VectorTileLayer({
-              declutter: true,
-              maxResolution: tileGrid.getMinZoom() > 0 ?
-                tileGrid.getResolution(tileGrid.getMinZoom()) : undefined,
-              source: new VectorTileSource({
-                attributions: glSource.attribution,
-                format: new MVT(),
-                tileGrid: tileGrid,
-                urls: tiles
-              }),
-              visible: false,
-              zIndex: i
-            });
-          })() : (function() {
-            var layer = new VectorTileLayer({
-              declutter: true,
-              visible: false,
-              zIndex: i
-            });
-            var tilejson = new TileJSON({
-              url: url
-            });
-            var key = tilejson.on('change', function() {
-              if (tilejson.getState() == 'ready') {
-                var tileJSONDoc = tilejson.getTileJSON();
-                var tiles = Array.isArray(tileJSONDoc.tiles) ? tileJSONDoc.tiles : [tileJSONDoc.tiles];
-                for (var i = 0, ii = tiles.length; i < ii; ++i) {
-                  var tile = tiles[i];
-                  if (tile.indexOf('http') != 0) {
-                    tiles[i] = glSource.url + tile;
-                  }
-                }
-                var tileGrid = tilejson.getTileGrid();
-                layer.setSource(new VectorTileSource({
-                  attributions: tilejson.getAttributions() || tileJSONDoc.attribution,
-                  format: new MVT(),
-                  tileGrid: createXYZ({
-                    minZoom: tileGrid.getMinZoom(),
-                    maxZoom: tileGrid.getMaxZoom(),
-                    tileSize: 512
-                  }),
-                  urls: tiles
-                }));
-                if (tileGrid.getMinZoom() > 0) {
-                  layer.setMaxResolution(
-                    tileGrid.getResolution(tileGrid.getMinZoom()));
-                }
-                unByKey(key);
-              }
-            });
-            return layer;
-          })();
-        } else if (glSource.type == 'raster') {
-          var source;
-          if (!glSource.tiles) {
-            source = (function() {
-              return new TileJSON({
-                url: url,
-                crossOrigin: 'anonymous'
-              });
-            })();
-          } else {
-            source = new XYZ({
-              attributions: glSource.attribution,
-              minZoom: glSource.minzoom,
-              maxZoom: 'maxzoom' in glSource ? glSource.maxzoom : 22,
-              tileSize: glSource.tileSize || 512,
-              url: url,
-              urls: glSource.tiles,
-              crossOrigin: 'anonymous'
-            });
+// Copies the point features of a loaded vector tile, with their coordinates
+// transformed from tile pixels to the map projection. Tiles that were already
+// rendered by a vector tile layer are in the map projection.
+function getTilePointFeatures(tile, tileExtent) {
+  const features = [];
+  const sourceFeatures = tile.getFeatures() || [];
+  const projection = tile.getProjection();
+  const tilePixels = projection && projection.getUnits() == Units.TILE_PIXELS;
+  const extent = tile.getExtent();
+  const scaleX = (tileExtent[2] - tileExtent[0]) / (extent[2] - extent[0]);
+  const scaleY = (tileExtent[3] - tileExtent[1]) / (extent[3] - extent[1]);
+  for (let i = 0, ii = sourceFeatures.length; i < ii; ++i) {
+    const sourceFeature = sourceFeatures[i];
+    const geometry = sourceFeature.getGeometry();
+    const type = geometry.getType();
+    if (type != 'Point' && type != 'MultiPoint') {
+      continue;
+    }
+    const flatCoordinates = geometry.getFlatCoordinates();
+    const stride = geometry.getStride();
+    const coordinates = [];
+    for (let j = 0, jj = flatCoordinates.length; j < jj; j += stride) {
+      coordinates.push(tilePixels ? [
+        tileExtent[0] + (flatCoordinates[j] - extent[0]) * scaleX,
+        tileExtent[3] - (flatCoordinates[j + 1] - extent[1]) * scaleY
+      ] : [flatCoordinates[j], flatCoordinates[j + 1]]);
+    }
+    const feature = new Feature(sourceFeature.getProperties());
+    feature.setGeometry(type == 'Point' ? new Point(coordinates[0]) : new MultiPoint(coordinates));
+    feature.setId(sourceFeature.getId());
+    features.push(feature);
+  }
+  return features;
+}
+
+// Heatmap layers need a vector source, which is filled with the features of
+// the loaded tiles of the vector tile source. Tiles that were already loaded
+// for other layers of the same source are not fetched again.
+function createTileFeatureSource(tileSource) {
+  const tileGrid = tileSource.getTileGrid();
+  const strategy = tileStrategy(tileGrid);
+  let zoom;
+  const source = new VectorSource({
+    attributions: tileSource.getAttributions(),
+    // features of other zoom levels are removed, so only the tiles of the
+    // current zoom level are used
+    strategy: function(extent, resolution) {
+      const z = tileGrid.getZForResolution(resolution);
+      if (z !== zoom) {
+        if (zoom !== undefined) {
+          source.clear(true);
+        }
+        zoom = z;
+      }
+      return strategy(extent, resolution);
+    },
+    loader: function(extent, resolution, projection) {
+      const tileCoord = tileGrid.getTileCoordForCoordAndZ(getCenter(extent), zoom);
+      const tile = tileSource.getTile(tileCoord[0], tileCoord[1], tileCoord[2], DEVICE_PIXEL_RATIO, projection);
+      function addFeatures() {
+        const sourceTile = tile.getTile(tileCoord.toString());
+        if (tileCoord[0] === zoom && sourceTile && sourceTile.getState() == TileState.LOADED) {
+          source.addFeatures(getTilePointFeatures(sourceTile, tileGrid.getTileCoordExtent(tileCoord)));
+        }
+      }
+      function onChange() {
+        const state = tile.getState();
+        if (state != TileState.LOADING) {
+          tile.removeEventListener('change', onChange);
+          if (state == TileState.LOADED) {
+            addFeatures();
           }
-          source.setTileLoadFunction(function(tile, src) {
-            if (src.indexOf('{bbox-epsg-3857}') != -1) {
-              var bbox = source.getTileGrid().getTileCoordExtent(tile.getTileCoord());
-              src = src.replace('{bbox-epsg-3857}', bbox.toString());
+        }
+      }
+      if (tile.getState() == TileState.LOADED) {
+        addFeatures();
+      } else {
+        tile.addEventListener('change', onChange);
+        tile.load();
+      }
+    }
+  });
+  return source;
+}
+
+function createHeatmapLayer(donor, glStyle, index) {
+  // Weight of the feature that is currently styled by this layer
+  let weight;
+  const layer = new HeatmapLayer({
+    visible: false,
+    weight: function() {
+      return weight;
+    },
+    zIndex: index
+  });
+  function setSource() {
+    const source = donor.getSource();
+    // for vector tiles, the vector tile source remains the source of the
+    // Mapbox Style source
+    const tileSource = donor.get('mapbox-tile-source') ||
+        (source instanceof VectorTileSource ? source : undefined);
+    layer.setMaxResolution(donor.getMaxResolution());
+    layer.set('mapbox-tile-source', tileSource);
+    layer.setSource(source === tileSource ? createTileFeatureSource(tileSource) : source);
+  }
+  if (donor.getSource()) {
+    setSource();
+  } else {
+    donor.once('change:source', setSource);
+  }
+  const heatmapStyle = layer.getStyle();
+  layer.setStyle(function(feature, resolution) {
+    const glLayer = getStyleLayer(glStyle, layer.get('mapbox-layers')[0]);
+    const zoom = getZoom(resolution, defaultResolutions);
+    const f = toGlFeature(feature);
+    if (!glLayer || ('source-layer' in glLayer && f.properties.layer != glLayer['source-layer']) ||
+        ('minzoom' in glLayer && zoom < glLayer.minzoom) ||
+        ('maxzoom' in glLayer && zoom >= glLayer.maxzoom) ||
+        (glLayer.filter && !evaluateFilter(glLayer.id, glLayer.filter, f, zoom))) {
+      return undefined;
+    }
+    weight = getValue(glLayer, 'paint', 'heatmap-weight', zoom, f);
+    return heatmapStyle(feature, resolution);
+  });
+  return layer;
+}
+
+function setupHeatmapLayer(map, layer, glStyle) {
+  layer.on('precompose', function() {
+    const glLayer = getStyleLayer(glStyle, layer.get('mapbox-layers')[0]);
+    const zoom = map.getView().getZoom();
+    if (!glLayer || zoom === undefined) {
+      return;
+    }
+    const radius = getValue(glLayer, 'paint', 'heatmap-radius', zoom, {}) / 2;
+    if (radius !== layer.getRadius()) {
+      layer.setRadius(radius);
+      layer.setBlur(radius);
+    }
+    layer.setOpacity(getValue(glLayer, 'paint', 'heatmap-opacity', zoom, {}));
+    // the density is multiplied by the intensity before it is colored
+    const intensity = getValue(glLayer, 'paint', 'heatmap-intensity', zoom, {});
+    const gradient = [];
+    for (let i = 0; i <= 16; ++i) {
+      gradient.push(getHeatmapColor(glLayer, zoom, Math.min(1, i / 16 * intensity)).toString());
+    }
+    if (gradient.join() !== layer.getGradient().join()) {
+      layer.setGradient(gradient);
+    }
+  });
+  const glLayer = getStyleLayer(glStyle, layer.get('mapbox-layers')[0]);
+  layer.setVisible(!glLayer.layout || glLayer.layout.visibility !== 'none');
+}
+
+function setupLayer(map, glStyle, sourceId, glLayer, index, path, accessToken) {
+  var glSource = glStyle.sources[sourceId];
+  var url = glSource.url;
+  var tiles = glSource.tiles;
+  var layer, mapid;
+  if (url) {
+    if (url.indexOf('mapbox://') == 0) {
+      mapid = url.replace('mapbox://', '');
+      tiles = ['a', 'b', 'c', 'd'].map(function(host) {
+        return 'https://' + host + '.tiles.mapbox.com/v4/' + mapid +
+            '/{z}/{x}/{y}.' +
+            (glSource.type == 'vector' ? 'vector.pbf' : glSource.type == 'raster-dem' ? 'pngraw' : 'png') +
+            accessToken;
+      });
+    }
+  }
+
+  if (glSource.type == 'vector') {
+    layer = tiles ? (function() {
+      var tileGrid = createXYZ({
+        tileSize: 512,
+        maxZoom: 'maxzoom' in glSource ? glSource.maxzoom : 22,
+        minZoom: glSource.minzoom
+      });
+      return new VectorTileLayer({
+        declutter: true,
+        maxResolution: tileGrid.getMinZoom() > 0 ?
+          tileGrid.getResolution(tileGrid.getMinZoom()) : undefined,
+        source: new VectorTileSource({
+          attributions: glSource.attribution,
+          format: new MVT(),
+          tileGrid: tileGrid,
+          urls: tiles
+        }),
+        visible: false,
+        zIndex: index
+      });
+    })() : (function() {
+      var layer = new VectorTileLayer({
+        declutter: true,
+        visible: false,
+        zIndex: index
+      });
+      var tilejson = new TileJSON({
+        url: url
+      });
+      var key = tilejson.on('change', function() {
+        if (tilejson.getState() == 'ready') {
+          var tileJSONDoc = tilejson.getTileJSON();
+          var tiles = Array.isArray(tileJSONDoc.tiles) ? tileJSONDoc.tiles : [tileJSONDoc.tiles];
+          for (var i = 0, ii = tiles.length; i < ii; ++i) {
+            var tile = tiles[i];
+            if (tile.indexOf('http') != 0) {
+              tiles[i] = glSource.url + tile;
             }
-            tile.getImage().src = src;
-          });
-          layer = new TileLayer({
-            source: source,
-            visible: glLayer.layout ? glLayer.layout.visibility !== 'none' : true
-          });
-        } else if (glSource.type == 'geojson') {
-          var data = glSource.data;
-          var features, geoJsonUrl;
-          if (typeof data == 'string') {
-            geoJsonUrl = withPath(data, path);
-          } else {
-            features = geoJsonFormat.readFeatures(data, {featureProjection: 'EPSG:3857'});
           }
-          layer = new VectorLayer({
-            source: new VectorSource({
-              attributions: glSource.attribution,
-              features: features,
-              format: geoJsonFormat,
-              url: geoJsonUrl
+          var tileGrid = tilejson.getTileGrid();
+          if (tileGrid.getMinZoom() > 0) {
+            layer.setMaxResolution(
+              tileGrid.getResolution(tileGrid.getMinZoom()));
+          }
+          layer.setSource(new VectorTileSource({
+            attributions: tilejson.getAttributions() || tileJSONDoc.attribution,
+            format: new MVT(),
+            tileGrid: createXYZ({
+              minZoom: tileGrid.getMinZoom(),
+              maxZoom: tileGrid.getMaxZoom(),
+              tileSize: 512
             }),
-            visible: false,
-            zIndex: i
-          });
+            urls: tiles
+          }));
+          unByKey(key);
+        }
+      });
+      return layer;
+    })();
+  } else if (glSource.type == 'raster' || glSource.type == 'raster-dem') {
+    var source;
+    if (!tiles) {
+      source = (function() {
+        return new TileJSON({
+          url: url,
+          crossOrigin: 'anonymous'
+        });
+      })();
+    } else {
+      source = new XYZ({
+        attributions: glSource.attribution,
+        minZoom: glSource.minzoom,
+        maxZoom: 'maxzoom' in glSource ? glSource.maxzoom : 22,
+        tileSize: glSource.tileSize || 512,
+        urls: tiles,
+        crossOrigin: 'anonymous'
+      });
+    }
+    // elevation data of loaded tiles, for shading across tile borders
+    var demTiles = glSource.type == 'raster-dem' ? new LRUCache(64) : undefined;
+    var onDemTileChange = function() {
+      source.changed();
+    };
+    source.setTileLoadFunction(function(tile, src) {
+      if (src.indexOf('{bbox-epsg-3857}') != -1) {
+        var bbox = source.getTileGrid().getTileCoordExtent(tile.getTileCoord());
+        src = src.replace('{bbox-epsg-3857}', bbox.toString());
+      }
+      var rasterLayer = getStyleLayer(glStyle, layer.get('mapbox-layers')[0]);
+      var zoom = getZoom(map.getView().getResolution(), defaultResolutions);
+      var process = rasterLayer &&
+          getRasterProcessor(rasterLayer, glSource, source.getTileGrid(), tile.getTileCoord(), zoom);
+      if (process && demTiles) {
+        loadDemTile(tile, src, process, demTiles, onDemTileChange);
+      } else if (process) {
+        loadRasterTile(tile, src, process);
+      } else {
+        tile.getImage().src = src;
+      }
+    });
+    layer = new TileLayer({
+      source: source,
+      visible: glLayer.layout ? glLayer.layout.visibility !== 'none' : true,
+      zIndex: index
+    });
+  } else if (glSource.type == 'geojson') {
+    var geoJsonFormat = new GeoJSON();
+    var data = glSource.data;
+    var features, geoJsonUrl;
+    if (typeof data == 'string') {
+      geoJsonUrl = withPath(data, path);
+    } else {
+      features = geoJsonFormat.readFeatures(data, {featureProjection: 'EPSG:3857'});
+    }
+    layer = new VectorLayer({
+      source: new VectorSource({
+        attributions: glSource.attribution,
+        features: features,
+        format: geoJsonFormat,
+        url: geoJsonUrl
+      }),
+      visible: false,
+      zIndex: index
+    });
+  }
+  if (layer && glLayer.type == 'heatmap') {
+    layer = createHeatmapLayer(layer, glStyle, index);
+  }
+  return layer;
+}
+
+function setupLayerFromSource(donor, glStyle, glLayer, index) {
+  var layer;
+  if (glLayer.type == 'heatmap') {
+    return createHeatmapLayer(donor, glStyle, index);
+  }
+  if (donor instanceof VectorTileLayer) {
+    layer = new VectorTileLayer({
+      declutter: true,
+      visible: false,
+      zIndex: index
+    });
+  } else if (donor instanceof VectorLayer) {
+    layer = new VectorLayer({
+      visible: false,
+      zIndex: index
+    });
+  } else {
+    layer = new TileLayer({
+      visible: glLayer.layout ? glLayer.layout.visibility !== 'none' : true,
+      zIndex: index
+    });
+  }
+  function setSource() {
+    layer.setMaxResolution(donor.getMaxResolution());
+    layer.setSource(donor.getSource());
+  }
+  if (donor.getSource()) {
+    setSource();
+  } else {
+    donor.once('change:source', setSource);
+  }
+  return layer;
+}
+
+function finalizeLayer(map, layer, glStyle, sourceId, layerIds, path) {
+  layer.set('mapbox-source', sourceId);
+  layer.set('mapbox-layers', layerIds);
+  if (layer instanceof TileLayer) {
+    setupRasterLayer(map, layer, glStyle);
+  }
+  map.addLayer(layer);
+  if (layer instanceof HeatmapLayer) {
+    // heatmap layers are not styled by the style function
+    setupHeatmapLayer(map, layer, glStyle);
+    return;
+  }
+  var setStyle = function() {
+    applyStyle(layer, glStyle, layer.get('mapbox-layers'), path).then(function() {
+      layer.setVisible(true);
+    }, function(e) {
+      /*eslint no-console: ["error", { allow: ["error"] }] */
+      console.error(e);
+    });
+  };
+  if (layer.getSource()) {
+    setStyle();
+  } else {
+    layer.once('change:source', setStyle);
+  }
+}
+
+function getMapboxLayers(map) {
+  return map.getLayers().getArray().filter(function(layer) {
+    return layer.get('mapbox-source') !== undefined;
+  });
+}
+
+function equalIds(a, b) {
+  return a.length == b.length && a.every(function(id, i) {
+    return id == b[i];
+  });
+}
+
+function isHeatmapGroup(group) {
+  return group.glLayer.type == 'heatmap';
+}
+
+/**
+ * Groups consecutive Mapbox Style layers of the same source, and creates,
+ * reuses or removes OpenLayers layers so there is one for each group.
+ * OpenLayers sources are shared with existing layers of the same Mapbox Style
+ * source, unless the source is listed in `staleSources`.
+ * @private
+ * @param {ol.Map} map OpenLayers Map.
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {Array<ol.layer.Layer>} existing OpenLayers layers previously created
+ * from the Mapbox Style object.
+ * @param {Object<string, boolean>} [staleSources] Sources that were changed
+ * and need to be recreated.
+ */
+function updateLayers(map, glStyle, existing, staleSources) {
+  const options = map.get('mapbox-style-options');
+  const glLayers = glStyle.layers;
+  const groups = [];
+  let group;
+  staleSources = staleSources || {};
+  for (let i = 0, ii = glLayers.length; i < ii; ++i) {
+    const glLayer = glLayers[i];
+    if (glLayer.type == 'background') {
+      continue;
+    }
+    const sourceId = glLayer.source || getSourceIdByRef(glLayers, glLayer.ref);
+    // heatmap layers are rendered by separate OpenLayers layers
+    if (!group || group.source != sourceId || glLayer.type == 'heatmap' || group.glLayer.type == 'heatmap') {
+      group = {
+        source: sourceId,
+        glLayer: glLayer,
+        index: i,
+        layerIds: []
+      };
+      groups.push(group);
+    }
+    group.layerIds.push(glLayer.id);
+  }
+
+  const unused = existing.filter(function(layer) {
+    return !staleSources[layer.get('mapbox-source')];
+  });
+  const layers = new Array(groups.length);
+  // keep layers that still render the same style layers
+  groups.forEach(function(group, i) {
+    for (let j = 0, jj = unused.length; j < jj; ++j) {
+      const layer = unused[j];
+      if (layer.get('mapbox-source') == group.source && equalIds(layer.get('mapbox-layers'), group.layerIds) &&
+          isHeatmapGroup(group) == layer instanceof HeatmapLayer) {
+        layers[i] = layer;
+        unused.splice(j, 1);
+        break;
+      }
+    }
+  });
+  // reuse other layers of the same source
+  groups.forEach(function(group, i) {
+    if (layers[i]) {
+      return;
+    }
+    for (let j = 0, jj = unused.length; j < jj; ++j) {
+      const layer = unused[j];
+      if (layer.get('mapbox-source') == group.source && isHeatmapGroup(group) == layer instanceof HeatmapLayer) {
+        layer.set('mapbox-layers', group.layerIds);
+        layers[i] = layer;
+        unused.splice(j, 1);
+        break;
+      }
+    }
+  });
+  // create new layers, sharing sources with existing layers where possible
+  groups.forEach(function(group, i) {
+    let layer = layers[i];
+    if (!layer) {
+      let donor;
+      existing.some(function(candidate) {
+        if (!staleSources[group.source] && candidate.get('mapbox-source') == group.source &&
+            (isHeatmapGroup(group) || !(candidate instanceof HeatmapLayer))) {
+          donor = candidate;
+          return true;
         }
-        glSourceId = id;
+      });
+      layer = donor ?
+        setupLayerFromSource(donor, glStyle, group.glLayer, group.index) :
+        setupLayer(map, glStyle, group.source, group.glLayer, group.index, options.path, options.accessToken);
+      if (!layer) {
+        return;
       }
-      layerIds.push(glLayer.id);
+      finalizeLayer(map, layer, glStyle, group.source, group.layerIds, options.path);
+    }
+    layer.setZIndex(group.index);
+  });
+  existing.forEach(function(layer) {
+    if (layers.indexOf(layer) == -1) {
+      map.removeLayer(layer);
     }
+  });
+}
+
+function getSpriteUrl(sprite, baseUrl, host, path, accessToken) {
+  if (sprite.indexOf('mapbox://') == 0) {
+    return baseUrl + '/sprite' + accessToken;
+  } else if (sprite.indexOf('http') != 0) {
+    return (host ? (host + path) : '') + sprite + accessToken;
+  }
+  return sprite;
+}
+
+function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
+  glStyle = cloneStyle(glStyle);
+  var view = map.getView();
+  if ('center' in glStyle && !view.getCenter()) {
+    view.setCenter(fromLonLat(glStyle.center));
+  }
+  if ('zoom' in glStyle && view.getZoom() === undefined) {
+    view.setZoom(glStyle.zoom);
+  }
+  if (!view.getCenter() || view.getZoom() === undefined) {
+    view.fit(view.getProjection().getExtent(), {
+      nearest: true,
+      size: map.getSize()
+    });
   }
-  finalizeLayer(layer);
+  if (glStyle.sprite) {
+    glStyle.sprite = getSpriteUrl(glStyle.sprite, baseUrl, host, path, accessToken);
+  }
+
+  map.set('mapbox-style-options', {
+    baseUrl: baseUrl,
+    host: host,
+    path: path,
+    accessToken: accessToken
+  });
+  updateLayers(map, glStyle, []);
+  var hasStyle = !!map.get('mapbox-style');
   map.set('mapbox-style', glStyle);
+  updateStyleBackground(map);
+  if (!hasStyle) {
+    map.on(['change:resolution', 'change:target'], function() {
+      updateStyleBackground(map);
+    });
+  }
 }
 
 /**
@@ -439,7 +1026,8 @@ function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
  *    included in the OpenLayers layer.
  *
  * The map returned by this function will have an additional `mapbox-style`
- * property which holds the Mapbox Style object.
+ * property which holds a copy of the Mapbox Style object. Use `setStyle()` to
+ * update it.
  *
  * @param {ol.Map|HTMLElement|string} map Either an existing OpenLayers Map
  * instance, or a HTML element, or the id of a HTML element that will be the
@@ -494,12 +1082,678 @@ export function apply(map, style) {
       });
   } else {
     setTimeout(function() {
-      processStyle(style, map);
+      processStyle(style, map, baseUrl, host, path, accessToken);
     }, 0);
   }
   return map;
 }
 
+// Diff commands that do not affect how OpenLayers renders the style, with the
+// Mapbox Style property they update.
+var ignoredCommands = {
+  setCenter: 'center',
+  setZoom: 'zoom',
+  setBearing: 'bearing',
+  setPitch: 'pitch',
+  setGlyphs: 'glyphs',
+  setTransition: 'transition',
+  setLight: 'light',
+  setTerrain: 'terrain',
+  setFog: 'fog',
+  setProjection: 'projection'
+};
+
+function getStyleLayer(glStyle, layerId) {
+  var layers = glStyle.layers;
+  for (var i = 0, ii = layers.length; i < ii; ++i) {
+    if (layers[i].id == layerId) {
+      return layers[i];
+    }
+  }
+}
+
+function setLayerProperty(glLayer, layoutOrPaint, name, value) {
+  var properties = glLayer[layoutOrPaint] || (glLayer[layoutOrPaint] = {});
+  if (value === undefined) {
+    delete properties[name];
+  } else {
+    properties[name] = value;
+  }
+  clearFunctionCache(glLayer.id, name);
+}
+
+function updateLayerFilter(glLayer, filter) {
+  if (filter === undefined || filter === null) {
+    delete glLayer.filter;
+  } else {
+    glLayer.filter = filter;
+  }
+  clearFilterCache(glLayer.id);
+}
+
+function updateLayerZoomRange(glLayer, minzoom, maxzoom) {
+  if (minzoom === undefined || minzoom === null) {
+    delete glLayer.minzoom;
+  } else {
+    glLayer.minzoom = minzoom;
+  }
+  if (maxzoom === undefined || maxzoom === null) {
+    delete glLayer.maxzoom;
+  } else {
+    glLayer.maxzoom = maxzoom;
+  }
+}
+
+function insertStyleLayer(glStyle, glLayer, beforeId) {
+  var layers = glStyle.layers;
+  var index = layers.length;
+  for (var i = 0, ii = layers.length; i < ii; ++i) {
+    if (layers[i].id == beforeId) {
+      index = i;
+      break;
+    }
+  }
+  layers.splice(index, 0, glLayer);
+}
+
+function removeStyleLayer(glStyle, layerId) {
+  var glLayer = getStyleLayer(glStyle, layerId);
+  if (glLayer) {
+    glStyle.layers.splice(glStyle.layers.indexOf(glLayer), 1);
+    clearFunctionCache(layerId);
+    clearFilterCache(layerId);
+  }
+  return glLayer;
+}
+
+/**
+ * Updates the Mapbox Style object of a map that was created with `apply()` to
+ * match the provided `glStyle`, without recreating the whole map. The two
+ * styles are compared using the Mapbox Style Spec's `diff` function, and only
+ * changed layers, sources, filters and properties are applied. OpenLayers
+ * layers and sources are reused where possible, so tiles are not fetched
+ * again. Changes of the `sprite`, and changes that cannot be expressed as a
+ * diff, will rebuild all layers.
+ *
+ * Changes to the `center`, `zoom`, `bearing` and `pitch` of the style are
+ * ignored, so the current view of the map is kept.
+ *
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string|Object} glStyle Mapbox Style object, or its JSON string.
+ */
+export function setStyle(map, glStyle) {
+  if (typeof glStyle != 'object') {
+    glStyle = JSON.parse(glStyle);
+  }
+  glStyle = cloneStyle(glStyle);
+  const currentStyle = map.get('mapbox-style');
+  const options = map.get('mapbox-style-options');
+  // the sprite of the current style was resolved when it was applied
+  const commands = diff(currentStyle, glStyle.sprite ? assign({}, glStyle, {
+    sprite: getSpriteUrl(glStyle.sprite, options.baseUrl, options.host, options.path, options.accessToken)
+  }) : glStyle);
+  const staleSources = {};
+  const changedLayers = {};
+  let rebuild = false;
+  let regroup = false;
+  let updateBackgroundStyle = false;
+  let glLayer;
+  for (let i = 0, ii = commands.length; i < ii && !rebuild; ++i) {
+    const command = commands[i].command;
+    const args = commands[i].args;
+    if (command in ignoredCommands) {
+      currentStyle[ignoredCommands[command]] = args[0];
+      continue;
+    }
+    switch (command) {
+      case 'setPaintProperty':
+      case 'setLayoutProperty':
+        glLayer = getStyleLayer(currentStyle, args[0]);
+        setLayerProperty(glLayer, command == 'setPaintProperty' ? 'paint' : 'layout', args[1], args[2]);
+        changedLayers[args[0]] = true;
+        break;
+      case 'setFilter':
+        updateLayerFilter(getStyleLayer(currentStyle, args[0]), args[1]);
+        changedLayers[args[0]] = true;
+        break;
+      case 'setLayerZoomRange':
+        updateLayerZoomRange(getStyleLayer(currentStyle, args[0]), args[1], args[2]);
+        changedLayers[args[0]] = true;
+        break;
+      case 'addLayer':
+        preprocess(args[0]);
+        insertStyleLayer(currentStyle, args[0], args[1]);
+        updateBackgroundStyle = updateBackgroundStyle || args[0].type == 'background';
+        regroup = true;
+        break;
+      case 'removeLayer':
+        glLayer = removeStyleLayer(currentStyle, args[0]);
+        updateBackgroundStyle = updateBackgroundStyle || glLayer.type == 'background';
+        regroup = true;
+        break;
+      case 'addSource':
+        currentStyle.sources[args[0]] = args[1];
+        break;
+      case 'removeSource':
+        delete currentStyle.sources[args[0]];
+        staleSources[args[0]] = true;
+        regroup = true;
+        break;
+      case 'setGeoJSONSourceData':
+        setData(map, args[0], args[1]);
+        break;
+      default:
+        rebuild = true;
+    }
+  }
+
+  if (rebuild) {
+    getMapboxLayers(map).forEach(function(layer) {
+      map.removeLayer(layer);
+    });
+    resetBackground(map);
+    processStyle(glStyle, map, options.baseUrl, options.host, options.path, options.accessToken);
+    return;
+  }
+  if (regroup) {
+    updateLayers(map, currentStyle, getMapboxLayers(map), staleSources);
+  }
+  for (const layerId in changedLayers) {
+    updateLayer(map, getStyleLayer(currentStyle, layerId));
+  }
+  if (updateBackgroundStyle) {
+    resetBackground(map);
+    updateStyleBackground(map);
+  }
+}
+
+function updateLayer(map, glLayer) {
+  if (glLayer.type == 'background') {
+    resetBackground(map);
+    updateStyleBackground(map);
+    return;
+  }
+  const layer = getLayer(map, glLayer.id);
+  if (layer) {
+    if (layer instanceof TileLayer && glLayer.id == layer.get('mapbox-layers')[0]) {
+      updateRasterLayer(layer, glLayer);
+    } else if (layer instanceof HeatmapLayer) {
+      layer.setVisible(!glLayer.layout || glLayer.layout.visibility !== 'none');
+    }
+    layer.changed();
+  }
+}
+
+function findStyleLayer(map, layerId) {
+  const glLayer = getStyleLayer(map.get('mapbox-style'), layerId);
+  if (!glLayer) {
+    throw new Error('Layer ' + layerId + ' not found in Mapbox Style.');
+  }
+  return glLayer;
+}
+
+/**
+ * Sets the value of a paint property of a Mapbox Style layer, and re-renders
+ * the OpenLayers layer that contains it.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} name Name of the paint property, e.g. `fill-color`.
+ * @param {*} value New value of the property. `undefined` resets the property
+ * to its default value.
+ */
+export function setPaintProperty(map, layerId, name, value) {
+  const glLayer = findStyleLayer(map, layerId);
+  setLayerProperty(glLayer, 'paint', name, value);
+  updateLayer(map, glLayer);
+}
+
+/**
+ * Gets the value of a paint property of a Mapbox Style layer.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} name Name of the paint property, e.g. `fill-color`.
+ * @return {*} Value of the property, or `undefined` if it is not set.
+ */
+export function getPaintProperty(map, layerId, name) {
+  const paint = findStyleLayer(map, layerId).paint;
+  return paint ? paint[name] : undefined;
+}
+
+/**
+ * Sets the value of a layout property of a Mapbox Style layer, and re-renders
+ * the OpenLayers layer that contains it.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} name Name of the layout property, e.g. `visibility`.
+ * @param {*} value New value of the property. `undefined` resets the property
+ * to its default value.
+ */
+export function setLayoutProperty(map, layerId, name, value) {
+  const glLayer = findStyleLayer(map, layerId);
+  setLayerProperty(glLayer, 'layout', name, value);
+  updateLayer(map, glLayer);
+}
+
+/**
+ * Gets the value of a layout property of a Mapbox Style layer.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} name Name of the layout property, e.g. `visibility`.
+ * @return {*} Value of the property, or `undefined` if it is not set.
+ */
+export function getLayoutProperty(map, layerId, name) {
+  const layout = findStyleLayer(map, layerId).layout;
+  return layout ? layout[name] : undefined;
+}
+
+/**
+ * Sets the filter of a Mapbox Style layer, and re-renders the OpenLayers layer
+ * that contains it. The filter is validated against the Mapbox Style Spec
+ * before it is applied.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {Array} filter Filter expression. `null` or `undefined` removes the
+ * filter.
+ */
+export function setFilter(map, layerId, filter) {
+  const glLayer = findStyleLayer(map, layerId);
+  if (filter !== undefined && filter !== null) {
+    // throws when the filter is invalid
+    createFilter(filter);
+  }
+  updateLayerFilter(glLayer, filter);
+  updateLayer(map, glLayer);
+}
+
+/**
+ * Gets the filter of a Mapbox Style layer.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @return {Array|undefined} Filter expression.
+ */
+export function getFilter(map, layerId) {
+  return findStyleLayer(map, layerId).filter;
+}
+
+/**
+ * Sets the zoom range in which a Mapbox Style layer is rendered, and
+ * re-renders the OpenLayers layer that contains it.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {number} [minzoom] Minimum zoom level. `null` or `undefined` removes
+ * the restriction.
+ * @param {number} [maxzoom] Maximum zoom level (exclusive). `null` or
+ * `undefined` removes the restriction.
+ */
+export function setLayerZoomRange(map, layerId, minzoom, maxzoom) {
+  const glLayer = findStyleLayer(map, layerId);
+  updateLayerZoomRange(glLayer, minzoom, maxzoom);
+  updateLayer(map, glLayer);
+}
+
+/**
+ * Adds a layer to the Mapbox Style of the map. OpenLayers layers are split or
+ * merged as needed, so consecutive Mapbox Style layers of the same source
+ * share an OpenLayers layer, and the rendering order follows the order of the
+ * Mapbox Style layers.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {Object} glLayer Mapbox Style layer. Its `source` needs to be defined
+ * in the Mapbox Style.
+ * @param {string} [beforeId] Id of an existing Mapbox Style layer to insert
+ * the new layer before. If not provided, the layer will be added on top.
+ */
+export function addLayer(map, glLayer, beforeId) {
+  const glStyle = map.get('mapbox-style');
+  if (getStyleLayer(glStyle, glLayer.id)) {
+    throw new Error('Layer ' + glLayer.id + ' already exists in Mapbox Style.');
+  }
+  if (glLayer.type != 'background' && !(glLayer.source in glStyle.sources)) {
+    throw new Error('Source ' + glLayer.source + ' not found in Mapbox Style.');
+  }
+  if (beforeId !== undefined) {
+    findStyleLayer(map, beforeId);
+  }
+  glLayer = cloneLayer(glLayer);
+  preprocess(glLayer);
+  insertStyleLayer(glStyle, glLayer, beforeId);
+  if (glLayer.type == 'background') {
+    updateLayer(map, glLayer);
+  } else {
+    updateLayers(map, glStyle, getMapboxLayers(map));
+  }
+}
+
+/**
+ * Removes a layer from the Mapbox Style of the map. OpenLayers layers that no
+ * longer render any Mapbox Style layers will be removed from the map, and
+ * OpenLayers layers that now render consecutive layers of the same source
+ * will be merged.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ */
+export function removeLayer(map, layerId) {
+  const glStyle = map.get('mapbox-style');
+  const glLayer = removeStyleLayer(glStyle, findStyleLayer(map, layerId).id);
+  if (glLayer.type == 'background') {
+    resetBackground(map);
+    updateStyleBackground(map);
+  } else {
+    updateLayers(map, glStyle, getMapboxLayers(map));
+  }
+}
+
+/**
+ * Moves a layer to a different position in the layer stack of the Mapbox Style
+ * of the map, splitting or merging OpenLayers layers as needed.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} [beforeId] Id of an existing Mapbox Style layer to move the
+ * layer before. If not provided, the layer will be moved to the top.
+ */
+export function moveLayer(map, layerId, beforeId) {
+  const glStyle = map.get('mapbox-style');
+  const glLayer = findStyleLayer(map, layerId);
+  if (beforeId !== undefined) {
+    findStyleLayer(map, beforeId);
+  }
+  if (layerId === beforeId) {
+    return;
+  }
+  glStyle.layers.splice(glStyle.layers.indexOf(glLayer), 1);
+  insertStyleLayer(glStyle, glLayer, beforeId);
+  if (glLayer.type == 'background') {
+    updateLayer(map, glLayer);
+  } else {
+    updateLayers(map, glStyle, getMapboxLayers(map));
+  }
+}
+
+/**
+ * Adds a source to the Mapbox Style of the map. OpenLayers layers for the
+ * source will be created when Mapbox Style layers that use it are added.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {Object} glSource Mapbox Style source.
+ */
+export function addSource(map, sourceId, glSource) {
+  const glStyle = map.get('mapbox-style');
+  if (sourceId in glStyle.sources) {
+    throw new Error('Source ' + sourceId + ' already exists in Mapbox Style.');
+  }
+  glStyle.sources[sourceId] = assign({}, glSource);
+}
+
+/**
+ * Removes a source from the Mapbox Style of the map. The source cannot be
+ * removed while Mapbox Style layers are using it.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} sourceId Mapbox Style source id.
+ */
+export function removeSource(map, sourceId) {
+  const glStyle = map.get('mapbox-style');
+  const glLayers = glStyle.layers;
+  for (let i = 0, ii = glLayers.length; i < ii; ++i) {
+    if ((glLayers[i].source || getSourceIdByRef(glLayers, glLayers[i].ref)) == sourceId) {
+      throw new Error('Source ' + sourceId + ' is used by layer ' + glLayers[i].id + '.');
+    }
+  }
+  delete glStyle.sources[sourceId];
+}
+
+/**
+ * Replaces the data of a `"type": "geojson"` source. The features are read
+ * into the existing OpenLayers source, so layers that use it are not
+ * recreated.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {Object|string} data GeoJSON object, or url of a GeoJSON document.
+ */
+export function setData(map, sourceId, data) {
+  const glSource = map.get('mapbox-style').sources[sourceId];
+  if (!glSource || glSource.type != 'geojson') {
+    throw new Error('GeoJSON source ' + sourceId + ' not found in Mapbox Style.');
+  }
+  glSource.data = data;
+  const source = getSource(map, sourceId);
+  if (!source) {
+    return;
+  }
+  const format = source.getFormat();
+  if (typeof data == 'string') {
+    source.setLoader(xhr(withPath(data, map.get('mapbox-style-options').path), format));
+    source.clear();
+  } else {
+    source.setLoader(function() {});
+    source.clear();
+    source.addFeatures(format.readFeatures(data, {featureProjection: 'EPSG:3857'}));
+  }
+}
+
+function getFeatureStates(map, sourceId) {
+  const source = getSource(map, sourceId);
+  if (!source) {
+    throw new Error('Source ' + sourceId + ' not found in map.');
+  }
+  let states = source.get('mapbox-featurestate');
+  if (!states) {
+    states = {};
+    source.set('mapbox-featurestate', states);
+  }
+  return states;
+}
+
+function usesFeatureState(glStyle, layerIds) {
+  return layerIds.some(function(layerId) {
+    const glLayer = getStyleLayer(glStyle, layerId);
+    return !!glLayer && JSON.stringify(glLayer.paint || {}).indexOf('"feature-state"') !== -1;
+  });
+}
+
+function updateSourceLayers(map, sourceId) {
+  const glStyle = map.get('mapbox-style');
+  getMapboxLayers(map).forEach(function(layer) {
+    // only layers with feature states in their paint properties look different
+    if (layer.get('mapbox-source') == sourceId && usesFeatureState(glStyle, layer.get('mapbox-layers'))) {
+      layer.changed();
+    }
+  });
+}
+
+/**
+ * Sets the state of a feature. The state can be used in `["feature-state"]`
+ * expressions of paint properties, e.g. for highlighting features on hover.
+ * The provided `state` is merged with the feature's current state. Only layers
+ * of the source that use `["feature-state"]` in paint properties are redrawn.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {Object} feature Feature identifier, with `source` (Mapbox Style
+ * source id), `sourceLayer` (source layer, only for `"type": "vector"`
+ * sources) and `id` (feature id) properties.
+ * @param {Object} state Key-value pairs to set.
+ */
+export function setFeatureState(map, feature, state) {
+  const states = getFeatureStates(map, feature.source);
+  const sourceLayer = feature.sourceLayer || '';
+  const sourceLayerStates = states[sourceLayer] || (states[sourceLayer] = {});
+  sourceLayerStates[feature.id] = assign({}, sourceLayerStates[feature.id], state);
+  updateSourceLayers(map, feature.source);
+}
+
+/**
+ * Gets the state of a feature.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {Object} feature Feature identifier, with `source`, `sourceLayer` and
+ * `id` properties, like in `setFeatureState()`.
+ * @return {Object} The feature's state.
+ */
+export function getFeatureState(map, feature) {
+  const sourceLayerStates = getFeatureStates(map, feature.source)[feature.sourceLayer || ''];
+  return assign({}, sourceLayerStates && sourceLayerStates[feature.id]);
+}
+
+/**
+ * Removes the state, or a single `key` of the state, of a feature. When the
+ * feature identifier has no `id`, the states of all features of the source
+ * (or source layer) will be removed.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {Object} feature Feature identifier, with `source`, `sourceLayer` and
+ * `id` properties, like in `setFeatureState()`.
+ * @param {string} [key] Key of the state to remove.
+ */
+export function removeFeatureState(map, feature, key) {
+  const states = getFeatureStates(map, feature.source);
+  const sourceLayer = feature.sourceLayer || '';
+  const sourceLayerStates = states[sourceLayer];
+  if (feature.id === undefined) {
+    if (feature.sourceLayer === undefined) {
+      for (const sourceLayerKey in states) {
+        delete states[sourceLayerKey];
+      }
+    } else {
+      delete states[sourceLayer];
+    }
+  } else if (sourceLayerStates && sourceLayerStates[feature.id]) {
+    if (key === undefined) {
+      delete sourceLayerStates[feature.id];
+    } else {
+      delete sourceLayerStates[feature.id][key];
+    }
+  }
+  updateSourceLayers(map, feature.source);
+}
+
+/**
+ * Gets the features rendered at a pixel, together with the Mapbox Style layer
+ * that rendered them. Only layers that are visible at the current zoom level,
+ * and features that pass the layer's `filter`, are taken into account.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {ol.Pixel} pixel Pixel.
+ * @param {Object} [options] Options, with `layers` (array of Mapbox Style layer
+ * ids to query) and `filter` (filter expression the features have to pass).
+ * @return {Array<Object>} Rendered features, topmost first. Each result has
+ * the OpenLayers `feature`, its `id`, the Mapbox Style `layer` id, and the
+ * `source` and `sourceLayer` (only for `"type": "vector"` sources). Results
+ * can be used as feature identifier for `setFeatureState()`.
+ */
+export function queryRenderedFeatures(map, pixel, options) {
+  options = options || {};
+  const glStyle = map.get('mapbox-style');
+  const results = [];
+  if (!glStyle) {
+    return results;
+  }
+  const zoom = getZoom(map.getView().getResolution(), defaultResolutions);
+  const filter = options.filter ? createFilter(options.filter).filter : undefined;
+  const glLayers = derefLayers(glStyle.layers);
+  const indexById = {};
+  glLayers.forEach(function(glLayer, index) {
+    indexById[glLayer.id] = index;
+  });
+
+  map.forEachFeatureAtPixel(pixel, function(feature, layer) {
+    const styleIds = feature.styleIds && feature.styleIds[zoom];
+    if (!styleIds) {
+      return;
+    }
+    const f = toGlFeature(feature);
+    layer.get('mapbox-layers').forEach(function(layerId) {
+      const glLayer = glLayers[indexById[layerId]];
+      if (!glLayer || styleIds.indexOf(layerId) == -1 ||
+          (options.layers && options.layers.indexOf(layerId) == -1) ||
+          (glLayer.layout && glLayer.layout.visibility == 'none') ||
+          ('minzoom' in glLayer && zoom < glLayer.minzoom) ||
+          ('maxzoom' in glLayer && zoom >= glLayer.maxzoom) ||
+          (glLayer.filter && !evaluateFilter(layerId, glLayer.filter, f, zoom)) ||
+          (filter && !filter({zoom: zoom}, f))) {
+        return;
+      }
+      results.push({
+        feature: feature,
+        id: f.id,
+        layer: layerId,
+        source: glLayer.source,
+        sourceLayer: glLayer['source-layer']
+      });
+    });
+  }, {
+    layerFilter: function(layer) {
+      return layer.get('mapbox-source') !== undefined;
+    }
+  });
+
+  return results.sort(function(a, b) {
+    return indexById[b.layer] - indexById[a.layer];
+  });
+}
+
+/**
+ * Gets the features of a Mapbox Style source. For `"type": "vector"` sources,
+ * these are the features of the loaded tiles of the current zoom level in the
+ * view extent. Features that span several tiles are only returned once,
+ * provided that they have an id.
+ * @param {ol.Map} map OpenLayers Map, created or populated with `apply()`.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {Object} [options] Options, with `sourceLayer` (source layer, only
+ * for `"type": "vector"` sources) and `filter` (filter expression the
+ * features have to pass).
+ * @return {Array<ol.Feature|ol.render.Feature>} Features.
+ */
+export function querySourceFeatures(map, sourceId, options) {
+  options = options || {};
+  const source = getSource(map, sourceId);
+  if (!source) {
+    throw new Error('Source ' + sourceId + ' not found in map.');
+  }
+  const zoom = getZoom(map.getView().getResolution(), defaultResolutions);
+  const filter = options.filter ? createFilter(options.filter).filter : undefined;
+  const sourceLayer = source instanceof VectorTileSource ? options.sourceLayer : undefined;
+  const results = [];
+  const seen = {};
+
+  function addFeatures(features) {
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      const feature = features[i];
+      const layer = feature.get('layer');
+      if (sourceLayer !== undefined && layer !== sourceLayer) {
+        continue;
+      }
+      const id = feature.getId();
+      if (id !== undefined) {
+        const key = layer + '/' + id;
+        if (key in seen) {
+          continue;
+        }
+        seen[key] = true;
+      }
+      if (!filter || filter({zoom: zoom}, toGlFeature(feature))) {
+        results.push(feature);
+      }
+    }
+  }
+
+  if (source instanceof VectorTileSource) {
+    const view = map.getView();
+    const size = map.getSize();
+    if (!size || !view.isDef()) {
+      return results;
+    }
+    const projection = view.getProjection();
+    const tileGrid = source.getTileGridForProjection(projection);
+    const z = tileGrid.getZForResolution(view.getResolution());
+    const extent = getIntersection(view.calculateExtent(size), tileGrid.getExtent());
+    tileGrid.forEachTileCoord(extent, z, function(tileCoord) {
+      const tile = source.getTile(tileCoord[0], tileCoord[1], tileCoord[2], DEVICE_PIXEL_RATIO, projection);
+      const sourceTile = tile.getTile(tileCoord.toString());
+      if (sourceTile && sourceTile.getState() == TileState.LOADED) {
+        addFeatures(sourceTile.getFeatures());
+      }
+    });
+  } else if (source instanceof VectorSource) {
+    addFeatures(source.getFeatures());
+  }
+
+  return results;
+}
+
 /**
  * Get the OpenLayers layer instance that contains the provided Mapbox Style
  * `layer`. Note that multiple Mapbox Style layers are combined in a single
@@ -511,7 +1765,8 @@ export function apply(map, style) {
 export function getLayer(map, layerId) {
   const layers = map.getLayers().getArray();
   for (let i = 0, ii = layers.length; i < ii; ++i) {
-    if (layers[i].get('mapbox-layers').indexOf(layerId) !== -1) {
+    const layerIds = layers[i].get('mapbox-layers');
+    if (layerIds && layerIds.indexOf(layerId) !== -1) {
       return layers[i];
     }
   }
@@ -526,8 +1781,8 @@ export function getLayer(map, layerId) {
 export function getSource(map, sourceId) {
   const layers = map.getLayers().getArray();
   for (let i = 0, ii = layers.length; i < ii; ++i) {
-    const source = layers[i].getSource();
-    if (layers[i].get('mapbox-source').indexOf(sourceId) !== -1) {
+    const source = layers[i].get('mapbox-tile-source') || layers[i].getSource();
+    if (layers[i].get('mapbox-source') === sourceId) {
       return source;
     }
   }
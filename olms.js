@@ -1,10 +1,11 @@
-import {apply, applyBackground, applyStyle} from './index';
+import {apply, applyBackground, applyStyle, setRTLTextPlugin} from './index';
 import stylefunction from './stylefunction';
 
 const olms = {
   apply: apply,
   applyBackground: applyBackground,
   applyStyle: applyStyle,
+  setRTLTextPlugin: setRTLTextPlugin,
   stylefunction: stylefunction
 };
 if (window) {
@@ -11,9 +11,16 @@ import Icon from 'ol/style/Icon';
 import Text from 'ol/style/Text';
 import Circle from 'ol/style/Circle';
 import Point from 'ol/geom/Point';
-import {derefLayers} from '@mapbox/mapbox-gl-style-spec';
+import LineString from 'ol/geom/LineString';
+import Polygon from 'ol/geom/Polygon';
+import MultiLineString from 'ol/geom/MultiLineString';
+import RBush from 'ol/structs/RBush';
+import LRUCache from 'ol/structs/LRUCache';
+import {unByKey} from 'ol/Observable';
+import {DEVICE_PIXEL_RATIO} from 'ol/has';
+import {assign} from 'ol/obj';
 import {
-  expression, Color,
+  derefLayers, expression, Color,
   function as fn,
   latest as spec,
   featureFilter as createFilter
@@ -21,7 +28,8 @@ import {
 import mb2css from 'mapbox-to-css-font';
 import {
   deg2rad,
-  getZoomForResolution
+  defaultResolutions,
+  getZoom
 } from './util';
 
 
@@ -57,9 +65,10 @@ const functionCache = {};
  * @param {string} property Feature property.
  * @param {number} zoom Zoom.
  * @param {Object} feature Gl feature.
+ * @param {Object} [featureState] Feature state.
  * @return {?} Value.
  */
-export function getValue(layer, layoutOrPaint, property, zoom, feature) {
+export function getValue(layer, layoutOrPaint, property, zoom, feature, featureState) {
   const layerId = layer.id;
   if (!functionCache[layerId]) {
     functionCache[layerId] = {};
@@ -89,7 +98,48 @@ export function getValue(layer, layoutOrPaint, property, zoom, feature) {
     }
   }
   zoomObj.zoom = zoom;
-  return functions[property](zoomObj, feature);
+  return functions[property](zoomObj, feature, featureState);
+}
+
+/**
+ * @private
+ * @param {Object} layer Gl object layer.
+ * @param {number} zoom Zoom.
+ * @param {number} density Heatmap density, between 0 and 1.
+ * @return {Color} Value of `heatmap-color` for the density.
+ */
+export function getHeatmapColor(layer, zoom, density) {
+  zoomObj.heatmapDensity = density;
+  const color = getValue(layer, 'paint', 'heatmap-color', zoom, emptyObj);
+  delete zoomObj.heatmapDensity;
+  return color;
+}
+
+const gradientRamps = {};
+
+/**
+ * @private
+ * @param {Object} layer Gl object layer.
+ * @return {Array<string>} Colors of `line-gradient` for 256 evenly spaced line
+ * progress values, like the color ramp texture of Mapbox GL.
+ */
+export function getLineGradientRamp(layer) {
+  getValue(layer, 'paint', 'line-gradient', 0, emptyObj);
+  const evaluate = functionCache[layer.id]['line-gradient'];
+  let cached = gradientRamps[layer.id];
+  if (!cached || cached.evaluate !== evaluate) {
+    const ramp = new Array(256);
+    for (let i = 0, ii = ramp.length; i < ii; ++i) {
+      zoomObj.lineProgress = i / (ii - 1);
+      ramp[i] = colorWithOpacity(getValue(layer, 'paint', 'line-gradient', 0, emptyObj), 1) || 'rgba(0,0,0,0)';
+    }
+    delete zoomObj.lineProgress;
+    cached = gradientRamps[layer.id] = {
+      evaluate: evaluate,
+      ramp: ramp
+    };
+  }
+  return cached.ramp;
 }
 
 function covertIconAnchor(iconAnchor) {
@@ -146,7 +196,56 @@ function chooseFont(fonts, availableFonts) {
 
 const filterCache = {};
 
-function evaluateFilter(layerId, filter, feature, zoom) {
+// Images of formatted labels, and icons fitted to or keeping space for
+// labels, are specific to the label. They are kept in a cache of limited size.
+const labelImageCache = new LRUCache(1024);
+let styleFunctionCount = 0;
+
+function getLabelImage(key, create) {
+  if (labelImageCache.containsKey(key)) {
+    return labelImageCache.get(key);
+  }
+  const image = create();
+  labelImageCache.set(key, image);
+  labelImageCache.prune();
+  return image;
+}
+
+/**
+ * @private
+ * Removes compiled style functions of a layer from the cache, so changes to
+ * the layer's paint or layout properties will be picked up.
+ * @param {string} layerId Gl object layer id.
+ * @param {string} [property] Property to clear. If not provided, all
+ * properties of the layer will be cleared.
+ */
+export function clearFunctionCache(layerId, property) {
+  if (property === undefined) {
+    delete functionCache[layerId];
+  } else if (functionCache[layerId]) {
+    delete functionCache[layerId][property];
+  }
+  labelImageCache.clear();
+}
+
+/**
+ * @private
+ * Removes the compiled filter of a layer from the cache.
+ * @param {string} layerId Gl object layer id.
+ */
+export function clearFilterCache(layerId) {
+  delete filterCache[layerId];
+}
+
+/**
+ * @private
+ * @param {string} layerId Gl object layer id.
+ * @param {Array} filter Filter of the layer.
+ * @param {Object} feature Gl feature.
+ * @param {number} zoom Zoom.
+ * @return {boolean} The feature passes the filter.
+ */
+export function evaluateFilter(layerId, filter, feature, zoom) {
   if (!(layerId in filterCache)) {
     filterCache[layerId] = createFilter(filter).filter;
   }
@@ -168,6 +267,808 @@ function colorWithOpacity(color, opacity) {
   return color;
 }
 
+/**
+ * @private
+ * @param {ol.Feature|ol.render.Feature} feature OpenLayers feature.
+ * @return {Object} Gl feature, for evaluating filters and expressions.
+ */
+export function toGlFeature(feature) {
+  return {
+    id: feature.getId(),
+    properties: feature.getProperties(),
+    type: types[feature.getGeometry().getType()]
+  };
+}
+
+// Roofs of fill-extrusion layers are shifted up by this fraction of their
+// height, which looks like an oblique view from the south.
+const extrusionSkew = 0.5;
+
+function getRings(geometry) {
+  if (geometry.getType() == 'MultiPolygon') {
+    return [].concat.apply([], geometry.getEndss());
+  }
+  return geometry.getEnds();
+}
+
+function createPolygon(flatCoordinates, ends) {
+  const polygon = new Polygon(null);
+  polygon.setFlatCoordinates('XY', flatCoordinates, ends);
+  return polygon;
+}
+
+/**
+ * @private
+ * @param {ol.geom.Geometry|ol.render.Feature} geometry Polygon geometry.
+ * @param {number} base Base height in meters.
+ * @param {number} height Height in meters.
+ * @return {Array<ol.geom.Polygon>} Walls and roof of the extrusion.
+ */
+export function getExtrusionGeometries(geometry, base, height) {
+  const flatCoordinates = geometry.getFlatCoordinates();
+  const stride = geometry.getStride();
+  const ends = getRings(geometry);
+  const extent = geometry.getExtent();
+  const latitude = 2 * Math.atan(Math.exp((extent[1] + extent[3]) / 2 / 6378137)) - Math.PI / 2;
+  const scale = extrusionSkew / Math.cos(latitude);
+  const baseOffset = base * scale;
+  const roofOffset = height * scale;
+  const walls = [];
+  const wallEnds = [];
+  const roof = [];
+  const roofEnds = [];
+  let offset = 0;
+  for (let i = 0, ii = ends.length; i < ii; ++i) {
+    const end = ends[i];
+    for (let j = offset; j < end; j += stride) {
+      const x1 = flatCoordinates[j];
+      const y1 = flatCoordinates[j + 1];
+      roof.push(x1, y1 + roofOffset);
+      if (j + stride < end) {
+        let x2 = flatCoordinates[j + stride];
+        let y2 = flatCoordinates[j + stride + 1];
+        if (x1 == x2) {
+          continue;
+        }
+        // consistent winding, so overlapping walls do not cancel out
+        let x = x1;
+        let y = y1;
+        if (x2 < x1) {
+          x = x2;
+          y = y2;
+          x2 = x1;
+          y2 = y1;
+        }
+        walls.push(x, y + baseOffset, x2, y2 + baseOffset, x2, y2 + roofOffset,
+          x, y + roofOffset, x, y + baseOffset);
+        wallEnds.push(walls.length);
+      }
+    }
+    roofEnds.push(roof.length);
+    offset = end;
+  }
+  return [
+    createPolygon(walls, wallEnds),
+    createPolygon(roof, roofEnds)
+  ];
+}
+
+// Maximum length of mitered vertices of offset lines, relative to the offset.
+const offsetMiterLimit = 2;
+
+function getNormal(flatCoordinates, from, to) {
+  const dx = flatCoordinates[to] - flatCoordinates[from];
+  const dy = flatCoordinates[to + 1] - flatCoordinates[from + 1];
+  const length = Math.sqrt(dx * dx + dy * dy);
+  return length == 0 ? null : [dy / length, -dx / length];
+}
+
+// Appends the vertices of a line, moved to the right of the line direction by
+// `offset` and translated by `dx` and `dy`, to `dest`.
+function offsetLine(flatCoordinates, start, end, stride, offset, dx, dy, dest) {
+  const last = end - stride;
+  const closed = last - start > stride &&
+    flatCoordinates[start] == flatCoordinates[last] &&
+    flatCoordinates[start + 1] == flatCoordinates[last + 1];
+  for (let i = start; i < end; i += stride) {
+    let x = flatCoordinates[i] + dx;
+    let y = flatCoordinates[i + 1] + dy;
+    if (offset != 0) {
+      const previous = i > start ? i - stride : closed ? last - stride : -1;
+      const next = i < last ? i + stride : closed ? start + stride : -1;
+      const n0 = previous == -1 ? null : getNormal(flatCoordinates, previous, i);
+      const n1 = next == -1 ? null : getNormal(flatCoordinates, i, next);
+      if (n0 || n1) {
+        let nx = (n0 ? n0[0] : 0) + (n1 ? n1[0] : 0);
+        let ny = (n0 ? n0[1] : 0) + (n1 ? n1[1] : 0);
+        let length = Math.sqrt(nx * nx + ny * ny);
+        if (length < 1e-6) {
+          // The line turns back on itself
+          nx = n0[0];
+          ny = n0[1];
+          length = 1;
+        }
+        nx /= length;
+        ny /= length;
+        const normal = n0 || n1;
+        const scale = offset / Math.max(nx * normal[0] + ny * normal[1], 1 / offsetMiterLimit);
+        x += nx * scale;
+        y += ny * scale;
+      }
+    }
+    dest.push(x, y);
+  }
+}
+
+/**
+ * @private
+ * @param {ol.geom.Geometry|ol.render.Feature} geometry Line or polygon geometry.
+ * @param {number} offset Offset to the right of the line direction, in map
+ * units.
+ * @param {number} dx Translation along the x axis, in map units.
+ * @param {number} dy Translation along the y axis, in map units.
+ * @return {ol.geom.Polygon|ol.geom.MultiLineString} Offset geometry. Polygons
+ * keep their rings, lines are returned as multi line string.
+ */
+export function offsetGeometry(geometry, offset, dx, dy) {
+  const flatCoordinates = geometry.getFlatCoordinates();
+  const stride = geometry.getStride();
+  const type = geometry.getType();
+  const polygonal = type == 'Polygon' || type == 'MultiPolygon';
+  const ends = polygonal ? getRings(geometry) :
+    type == 'MultiLineString' ? geometry.getEnds() : [flatCoordinates.length];
+  const dest = [];
+  const destEnds = [];
+  let start = 0;
+  for (let i = 0, ii = ends.length; i < ii; ++i) {
+    offsetLine(flatCoordinates, start, ends[i], stride, offset, dx, dy, dest);
+    destEnds.push(dest.length);
+    start = ends[i];
+  }
+  if (polygonal) {
+    return createPolygon(dest, destEnds);
+  }
+  const lines = new MultiLineString(null);
+  lines.setFlatCoordinates('XY', dest, destEnds);
+  return lines;
+}
+
+// Converts a `*-translate` paint property value from pixels to map units.
+function getTranslation(translate, anchor, resolution, rotation) {
+  const tx = translate[0] * resolution;
+  const ty = translate[1] * resolution;
+  if (anchor != 'viewport' || rotation == 0) {
+    return [tx, -ty];
+  }
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return [tx * cos + ty * sin, tx * sin - ty * cos];
+}
+
+function forEachLine(coordinates, callback) {
+  if (typeof coordinates[0][0] == 'number') {
+    callback(coordinates);
+  } else {
+    for (let i = 0, ii = coordinates.length; i < ii; ++i) {
+      forEachLine(coordinates[i], callback);
+    }
+  }
+}
+
+// Fills each segment of a line with the current pattern fill style, aligned
+// to the direction of the segment and continued from the previous segment.
+function drawPatternLine(context, line, lineWidth) {
+  let distance = 0;
+  for (let i = 1, ii = line.length; i < ii; ++i) {
+    const x = line[i - 1][0];
+    const y = line[i - 1][1];
+    const dx = line[i][0] - x;
+    const dy = line[i][1] - y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length == 0) {
+      continue;
+    }
+    context.save();
+    context.translate(x, y);
+    context.rotate(Math.atan2(dy, dx));
+    context.translate(-distance, -lineWidth / 2);
+    context.fillRect(distance, 0, length, lineWidth);
+    context.restore();
+    distance += length;
+  }
+}
+
+// Strokes each segment of a line with a linear gradient that samples the color
+// ramp between the line progress values of the segment's vertices.
+function drawGradientLine(context, line, ramp) {
+  const distances = [0];
+  for (let i = 1, ii = line.length; i < ii; ++i) {
+    const dx = line[i][0] - line[i - 1][0];
+    const dy = line[i][1] - line[i - 1][1];
+    distances[i] = distances[i - 1] + Math.sqrt(dx * dx + dy * dy);
+  }
+  const length = distances[distances.length - 1];
+  if (!(length > 0)) {
+    return;
+  }
+  const last = ramp.length - 1;
+  for (let i = 1, ii = line.length; i < ii; ++i) {
+    const start = distances[i - 1] / length * last;
+    const end = distances[i] / length * last;
+    if (end == start) {
+      continue;
+    }
+    const x0 = line[i - 1][0];
+    const y0 = line[i - 1][1];
+    const x1 = line[i][0];
+    const y1 = line[i][1];
+    const gradient = context.createLinearGradient(x0, y0, x1, y1);
+    gradient.addColorStop(0, ramp[Math.round(start)]);
+    for (let j = Math.floor(start) + 1; j < end; ++j) {
+      gradient.addColorStop((j - start) / (end - start), ramp[j]);
+    }
+    gradient.addColorStop(1, ramp[Math.round(end)]);
+    context.strokeStyle = gradient;
+    context.beginPath();
+    context.moveTo(x0, y0);
+    context.lineTo(x1, y1);
+    context.stroke();
+  }
+}
+
+function createLineGradientRenderer(ramp, width, opacity, cap, join) {
+  return function(coordinates, state) {
+    const context = state.context;
+    context.save();
+    context.globalAlpha *= opacity;
+    context.lineWidth = width * state.pixelRatio;
+    // Segments are stroked separately, so round joins need round caps
+    context.lineCap = join == 'round' ? 'round' : cap;
+    forEachLine(coordinates, function(line) {
+      drawGradientLine(context, line, ramp);
+    });
+    context.restore();
+  };
+}
+
+// Strokes lines outside of the canvas and only draws their shadow, which is
+// blurred by the canvas.
+function createBlurredLineRenderer(color, width, blur, cap, join, miterLimit, lineDash) {
+  return function(coordinates, state) {
+    const context = state.context;
+    const pixelRatio = state.pixelRatio;
+    const shift = context.canvas.width + 2 * (width + blur) * pixelRatio;
+    context.save();
+    context.strokeStyle = color;
+    context.shadowColor = color;
+    context.shadowBlur = blur * pixelRatio;
+    context.shadowOffsetX = shift;
+    // The blurred edge fades out over `blur` pixels, half inside the line
+    context.lineWidth = Math.max(width - blur, 1) * pixelRatio;
+    context.lineCap = cap;
+    context.lineJoin = join;
+    context.miterLimit = miterLimit;
+    context.setLineDash(lineDash ? lineDash.map(function(x) {
+      return x * pixelRatio;
+    }) : []);
+    context.beginPath();
+    forEachLine(coordinates, function(line) {
+      context.moveTo(line[0][0] - shift, line[0][1]);
+      for (let i = 1, ii = line.length; i < ii; ++i) {
+        context.lineTo(line[i][0] - shift, line[i][1]);
+      }
+    });
+    context.stroke();
+    context.restore();
+  };
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+// Number of color stops of blurred circle gradients.
+const circleBlurSteps = 32;
+
+// Draws a circle with a radial gradient, using the color and opacity
+// equations of the Mapbox GL circle shader.
+function createBlurredCircle(radius, color, opacity, strokeWidth, strokeColor, strokeOpacity, blur) {
+  const outerRadius = radius + strokeWidth;
+  const size = Math.max(1, Math.ceil(2 * outerRadius));
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, outerRadius);
+  for (let i = 0; i <= circleBlurSteps; ++i) {
+    const distance = i / circleBlurSteps;
+    const opacityT = smoothstep(0, -blur, distance - 1);
+    const colorT = strokeWidth < 0.01 ? 0 : smoothstep(-blur, 0, distance - radius / outerRadius);
+    const mixed = {};
+    ['r', 'g', 'b', 'a'].forEach(function(channel) {
+      mixed[channel] = (color[channel] * opacity * (1 - colorT) +
+        strokeColor[channel] * strokeOpacity * colorT) * opacityT;
+    });
+    gradient.addColorStop(distance, colorWithOpacity(mixed, 1) || 'rgba(0,0,0,0)');
+  }
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, outerRadius, 0, 2 * Math.PI);
+  ctx.fill();
+  return canvas;
+}
+
+// Cuts out the shape of an icon and colors it.
+function colorIcon(ctx, canvas, color) {
+  const data = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const r = Math.round(color.r * 255 / color.a);
+  const g = Math.round(color.g * 255 / color.a);
+  const b = Math.round(color.b * 255 / color.a);
+  for (let c = 0, cc = data.data.length; c < cc; c += 4) {
+    data.data[c] = r;
+    data.data[c + 1] = g;
+    data.data[c + 2] = b;
+  }
+  ctx.putImageData(data, 0, 0);
+}
+
+// Returns the slices of an image dimension of `size` pixels as
+// [srcStart, srcEnd, destStart, destEnd], with the `stretches` ranges scaled
+// by `scale`. Without stretch ranges, the whole dimension is stretched.
+function getSlices(size, stretches, scale) {
+  const ranges = stretches || [[0, size]];
+  const slices = [];
+  let src = 0;
+  let dest = 0;
+  for (let i = 0, ii = ranges.length; i < ii; ++i) {
+    const from = ranges[i][0];
+    const to = ranges[i][1];
+    if (from > src) {
+      slices.push([src, from, dest, dest + from - src]);
+      dest += from - src;
+    }
+    slices.push([from, to, dest, dest + (to - from) * scale]);
+    dest += (to - from) * scale;
+    src = to;
+  }
+  if (size > src) {
+    slices.push([src, size, dest, dest + size - src]);
+  }
+  return slices;
+}
+
+function getSlicePosition(slices, position) {
+  for (let i = 0, ii = slices.length; i < ii; ++i) {
+    const slice = slices[i];
+    if (position <= slice[1]) {
+      const fraction = slice[1] == slice[0] ? 0 : (position - slice[0]) / (slice[1] - slice[0]);
+      return slice[2] + fraction * (slice[3] - slice[2]);
+    }
+  }
+  return slices[slices.length - 1][3];
+}
+
+// Returns the scale for the stretch ranges that makes the `from` to `to`
+// range of an image dimension `target` pixels long.
+function getStretchScale(size, stretches, from, to, target) {
+  const ranges = stretches || [[0, size]];
+  let stretched = 0;
+  for (let i = 0, ii = ranges.length; i < ii; ++i) {
+    stretched += Math.max(0, Math.min(to, ranges[i][1]) - Math.max(from, ranges[i][0]));
+  }
+  return stretched > 0 ? Math.max(0, (target - (to - from - stretched)) / stretched) : 1;
+}
+
+const hairSpace = '\u200A';
+
+// Canvas text has no letter spacing, so it is emulated with hair spaces.
+function spaceLetters(text, count) {
+  if (count < 1) {
+    return text;
+  }
+  const spacing = new Array(count + 1).join(hairSpace);
+  return text.split('\n').map(function(line) {
+    return (line.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[^]/g) || []).join(spacing);
+  }).join('\n');
+}
+
+let rtlTextPlugin = null;
+
+/**
+ * Sets a plugin for shaping and ordering right-to-left text, like Mapbox GL's
+ * `setRTLTextPlugin()`. Labels are drawn glyph by glyph along lines and with
+ * letter spacing, which requires Arabic text to be shaped and right-to-left
+ * text to be in display order. Without a plugin, labels are rendered as
+ * provided by the data.
+ * @param {Object} plugin Text shaping plugin, e.g. the object that the
+ * `@mapbox/mapbox-gl-rtl-text` script passes to `registerRTLTextPlugin()`,
+ * with an `applyArabicShaping(text)` function that returns the shaped `text`,
+ * a `processBidirectionalText(text, lineBreakPoints)` function that returns
+ * the lines of `text` in display order, and a
+ * `processStyledBidirectionalText(text, styleIndices, lineBreakPoints)`
+ * function that also returns the style index of each character, for labels with
+ * `format` expressions. `null` to remove the plugin.
+ */
+export function setRTLTextPlugin(plugin) {
+  rtlTextPlugin = plugin;
+}
+
+// Strong right-to-left characters: Hebrew, Arabic, Syriac, Thaana, N'Ko and
+// their presentation forms.
+const rtlRegEx = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/;
+
+function shapeText(text) {
+  return rtlTextPlugin && rtlRegEx.test(text) ? rtlTextPlugin.applyArabicShaping(text) : text;
+}
+
+// Lines in display order are wrapped in a left-to-right override, so the
+// canvas does not reorder them again.
+function orderText(text) {
+  if (!rtlTextPlugin || !rtlRegEx.test(text)) {
+    return text;
+  }
+  return text.split('\n').map(function(line) {
+    return '\u202D' + rtlTextPlugin.processBidirectionalText(line, []).join('') + '\u202C';
+  }).join('\n');
+}
+
+// Characters that allow line breaks before and after them: CJK ideographs,
+// kana, Bopomofo, Yi, CJK symbols and fullwidth forms. Hangul is broken at
+// spaces, like Mapbox GL does.
+const ideographicRegEx = /^([\u2E80-\u2FFF\u3000-\u312F\u3190-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]|[\uD840-\uD87F][\uDC00-\uDFFF])$/;
+// Thai, Lao, Myanmar and Khmer are written without spaces between words.
+const noSpacesRegEx = /[\u0E00-\u0EFF\u1000-\u109F\u1780-\u17FF]/;
+const spaceRegEx = /^[ \t\u200B]$/;
+const hyphenRegEx = /^[-/\u00AD\u2010\u2013]$/;
+// Kinsoku rules: characters that cannot start or end a line.
+const noLineStart = '!%),.:;?]}¢°·’”‥…‰′″›℃∶、。〃々〆〉》」』】〕〗〙〛〜〞〟ぁぃぅぇぉっゃゅょゎゕゖ゛゜ゝゞ' +
+  'ァィゥェォッャュョヮヵヶ・ーヽヾㇰㇱㇲㇳㇴㇵㇶㇷㇸㇹㇺㇻㇼㇽㇾㇿ！％），．：；？］｝～｡｣､･ｧｨｩｪｫｬｭｮｯｰ»';
+const noLineEnd = '([{£¥‘“‹〈《「『【〔〖〘〚〝（［｛｢￡￥«';
+
+let wordSegmenter;
+
+// Word boundaries of scripts without spaces, where the browser supports it.
+function getWordBoundaries(text) {
+  const boundaries = {};
+  if (noSpacesRegEx.test(text) && typeof Intl != 'undefined' && Intl.Segmenter) {
+    if (!wordSegmenter) {
+      wordSegmenter = new Intl.Segmenter(undefined, {granularity: 'word'});
+    }
+    const segments = wordSegmenter.segment(text);
+    for (const segment of segments) {
+      boundaries[segment.index] = true;
+    }
+  }
+  return boundaries;
+}
+
+// Splits a paragraph into the parts between line break opportunities,
+// following the Unicode line breaking rules for spaces, hyphens, ideographs
+// and closing and opening punctuation. Each part has the penalty of breaking
+// the line after it.
+function getBreakableParts(text) {
+  const boundaries = getWordBoundaries(text);
+  // Zero width spaces, when provided, are preferred over other breaks
+  const ideographicPenalty = text.indexOf('\u200B') !== -1 ? 150 : 0;
+  const chars = text.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[^]/g) || [];
+  const parts = [];
+  let part = chars[0] || '';
+  let index = part.length;
+  for (let i = 1, ii = chars.length; i < ii; ++i) {
+    const before = chars[i - 1];
+    const after = chars[i];
+    let penalty;
+    // Spaces stay at the end of the line
+    if (!spaceRegEx.test(after) && noLineStart.indexOf(after) == -1 && noLineEnd.indexOf(before) == -1) {
+      if (spaceRegEx.test(before) || hyphenRegEx.test(before) && i > 1 && !spaceRegEx.test(chars[i - 2])) {
+        penalty = 0;
+      } else if (ideographicRegEx.test(before) || ideographicRegEx.test(after) ||
+          boundaries[index] && noSpacesRegEx.test(before + after)) {
+        penalty = ideographicPenalty;
+      }
+    }
+    if (penalty !== undefined) {
+      parts.push({text: part, penalty: penalty});
+      part = '';
+    }
+    part += after;
+    index += after.length;
+  }
+  parts.push({text: part, penalty: 0});
+  return parts;
+}
+
+function getBadness(width, targetWidth, penalty, last) {
+  const raggedness = Math.pow(width - targetWidth, 2);
+  if (last) {
+    // Favor a last line that is shorter than the others
+    return width < targetWidth ? raggedness / 2 : raggedness * 2;
+  }
+  return raggedness + Math.abs(penalty) * penalty;
+}
+
+/**
+ * Breaks text into lines of balanced width, like Mapbox GL does: the number of
+ * lines is determined by `maxWidth`, and breaks are chosen so the lines have
+ * similar widths.
+ * @private
+ * @param {string} text Text, with `\n` for forced line breaks.
+ * @param {number} maxWidth Maximum width of a line.
+ * @param {function(string):number} measure Function that measures the width
+ * of a piece of text.
+ * @return {Array<string>} Lines.
+ */
+export function breakLines(text, maxWidth, measure) {
+  const lines = [];
+  const paragraphs = text.split('\n');
+  for (let i = 0, ii = paragraphs.length; i < ii; ++i) {
+    // Leading and trailing spaces would otherwise be broken into lines of their own
+    const parts = getBreakableParts(paragraphs[i].replace(/^[ \t\u200B]+|[ \t\u200B]+$/g, ''));
+    const widths = [];
+    const trimmedWidths = [];
+    let totalWidth = 0;
+    for (let j = 0, jj = parts.length; j < jj; ++j) {
+      const trimmed = parts[j].text.replace(/[ \t\u200B]+$/, '');
+      widths[j] = measure(parts[j].text);
+      trimmedWidths[j] = trimmed == parts[j].text ? widths[j] : measure(trimmed);
+      totalWidth += j == jj - 1 ? trimmedWidths[j] : widths[j];
+    }
+    const targetWidth = totalWidth / Math.max(1, Math.ceil(totalWidth / maxWidth));
+    // Find the breaks with the least badness, starting at the beginning of the paragraph
+    const breaks = [{part: -1, x: 0, badness: 0, prior: null}];
+    let x = 0;
+    for (let j = 0, jj = parts.length; j < jj; ++j) {
+      const lineEnd = x + trimmedWidths[j];
+      x += widths[j];
+      let best = null;
+      let bestBadness = Infinity;
+      for (let k = 0, kk = breaks.length; k < kk; ++k) {
+        const badness = breaks[k].badness +
+          getBadness(lineEnd - breaks[k].x, targetWidth, parts[j].penalty, j == jj - 1);
+        if (badness <= bestBadness) {
+          best = breaks[k];
+          bestBadness = badness;
+        }
+      }
+      breaks.push({part: j, x: x, badness: bestBadness, prior: best});
+    }
+    const paragraphLines = [];
+    for (let lineBreak = breaks[breaks.length - 1]; lineBreak.prior; lineBreak = lineBreak.prior) {
+      let line = '';
+      for (let j = lineBreak.prior.part + 1; j <= lineBreak.part; ++j) {
+        line += parts[j].text;
+      }
+      paragraphLines.unshift(line.replace(/[ \t\u200B]+$/, ''));
+    }
+    lines.push.apply(lines, paragraphLines);
+  }
+  return lines;
+}
+
+// Returns the offset of `text-radial-offset` ems away from the anchor point,
+// in the direction of the text anchor.
+function getRadialOffset(textAnchor, radialOffset) {
+  const diagonal = radialOffset / Math.SQRT2;
+  let x = 0;
+  let y = 0;
+  if (textAnchor == 'top' || textAnchor == 'bottom') {
+    y = textAnchor == 'top' ? radialOffset : -radialOffset;
+  } else if (textAnchor.indexOf('top') == 0) {
+    y = diagonal;
+  } else if (textAnchor.indexOf('bottom') == 0) {
+    y = -diagonal;
+  }
+  if (textAnchor == 'left' || textAnchor == 'right') {
+    x = textAnchor == 'left' ? radialOffset : -radialOffset;
+  } else if (textAnchor.indexOf('left') !== -1) {
+    x = diagonal;
+  } else if (textAnchor.indexOf('right') !== -1) {
+    x = -diagonal;
+  }
+  return [x, y];
+}
+
+// Applies the absolute values of `text-offset` in the direction of the
+// text anchor, like Mapbox GL does for variable anchors.
+function getAnchorOffset(textAnchor, textOffset) {
+  const x = Math.abs(textOffset[0]);
+  const y = Math.abs(textOffset[1]);
+  return [
+    textAnchor.indexOf('left') !== -1 ? x : textAnchor.indexOf('right') !== -1 ? -x : 0,
+    textAnchor.indexOf('top') == 0 ? y : textAnchor.indexOf('bottom') == 0 ? -y : 0
+  ];
+}
+
+// Returns the box of a label of `size` pixels relative to its anchor point.
+function getTextBox(size, textSize, textAnchor, textOffset) {
+  const width = size[0];
+  const height = size[1];
+  let x = textOffset[0] * textSize - width / 2;
+  let y = textOffset[1] * textSize - height / 2;
+  if (textAnchor.indexOf('left') !== -1) {
+    x += width / 2;
+  } else if (textAnchor.indexOf('right') !== -1) {
+    x -= width / 2;
+  }
+  if (textAnchor.indexOf('top') == 0) {
+    y += height / 2;
+  } else if (textAnchor.indexOf('bottom') == 0) {
+    y -= height / 2;
+  }
+  return [x, y, x + width, y + height];
+}
+
+// Resolves `text-justify` to a canvas text alignment.
+function getJustification(textJustify, textAnchor) {
+  if (textJustify == 'auto') {
+    return textAnchor.indexOf('left') !== -1 ? 'left' :
+      textAnchor.indexOf('right') !== -1 ? 'right' : 'center';
+  }
+  return textJustify;
+}
+
+// Number of z-indexes symbols of a layer are ordered in. OpenLayers creates a
+// replay group for each z-index, so keys are put into a few buckets.
+const SYMBOL_Z_INDEX_BUCKETS = 16;
+
+// Orders the symbols of a layer by `symbol-sort-key`, or by their y position
+// when they may overlap, between the z-index of the layer and that of the
+// layer below. Symbols with lower z-index are decluttered and drawn first.
+function getSymbolZIndex(index, zOrder, sortKey, y, overlap) {
+  const zIndex = 99999 - index;
+  let key;
+  if (zOrder == 'auto' && typeof sortKey == 'number') {
+    key = sortKey;
+  } else if (zOrder == 'viewport-y' || zOrder == 'auto' && overlap) {
+    key = -y / 6378137;
+  }
+  if (key === undefined) {
+    return zIndex;
+  }
+  const bucket = Math.min(Math.floor((Math.atan(key) / Math.PI + 0.5) * SYMBOL_Z_INDEX_BUCKETS),
+    SYMBOL_Z_INDEX_BUCKETS - 1);
+  return zIndex - 1 + (bucket + 1) / (SYMBOL_Z_INDEX_BUCKETS + 1);
+}
+
+// Draws an image style at the rendered points, without decluttering.
+function createImageRenderer(image) {
+  const anchor = image.getAnchor();
+  const origin = image.getOrigin();
+  const size = image.getSize();
+  const scale = image.getScale();
+  const rotation = image.getRotation();
+  const rotateWithView = image.getRotateWithView();
+  const opacity = image.getOpacity();
+  return function(coordinates, state) {
+    const context = state.context;
+    const img = image.getImage(state.pixelRatio);
+    const points = typeof coordinates[0] == 'number' ? [coordinates] : coordinates;
+    for (let i = 0, ii = points.length; i < ii; ++i) {
+      context.save();
+      context.globalAlpha *= opacity;
+      context.translate(points[i][0], points[i][1]);
+      context.rotate(rotation + (rotateWithView ? state.rotation : 0));
+      context.scale(scale * state.pixelRatio, scale * state.pixelRatio);
+      context.drawImage(img, origin[0], origin[1], size[0], size[1], -anchor[0], -anchor[1], size[0], size[1]);
+      context.restore();
+    }
+  };
+}
+
+function getPointOnLine(flatCoordinates, start, stride, distances, distance) {
+  let i = 1;
+  while (i < distances.length - 1 && distances[i] < distance) {
+    ++i;
+  }
+  const from = start + (i - 1) * stride;
+  const to = from + stride;
+  const dx = flatCoordinates[to] - flatCoordinates[from];
+  const dy = flatCoordinates[to + 1] - flatCoordinates[from + 1];
+  const segment = distances[i] - distances[i - 1];
+  const t = segment ? (distance - distances[i - 1]) / segment : 0;
+  return [flatCoordinates[from] + t * dx, flatCoordinates[from + 1] + t * dy, Math.atan2(dy, dx), i];
+}
+
+/**
+ * Places symbols along the lines of a geometry, every `spacing` map units or
+ * once at the center of each line. Lines shorter than the symbol get no
+ * anchor. Each anchor has the angle of the line and the part of the line,
+ * centered on the anchor, that a label along the line may use.
+ * @private
+ * @param {ol.geom.Geometry|ol.render.Feature} geometry Line geometry.
+ * @param {number} spacing Distance between anchors in map units.
+ * @param {number} length Length of the symbol in map units.
+ * @param {boolean} center Place a single anchor at the center of each line.
+ * @return {Array<{coordinate: Array<number>, angle: number, line: Array<number>}>} Anchors.
+ */
+export function getLineAnchors(geometry, spacing, length, center) {
+  const flatCoordinates = geometry.getFlatCoordinates();
+  const stride = geometry.getStride();
+  const ends = geometry.getEnds ? geometry.getEnds() : [flatCoordinates.length];
+  // Leave some room between repeated symbols
+  if (spacing - length < spacing / 4) {
+    spacing = length + spacing / 4;
+  }
+  const anchors = [];
+  let start = 0;
+  for (let i = 0, ii = ends.length; i < ii; ++i) {
+    const end = ends[i];
+    const distances = [0];
+    for (let j = start + stride; j < end; j += stride) {
+      distances.push(distances[distances.length - 1] + Math.sqrt(
+        Math.pow(flatCoordinates[j] - flatCoordinates[j - stride], 2) +
+        Math.pow(flatCoordinates[j + 1] - flatCoordinates[j - stride + 1], 2)));
+    }
+    const lineLength = distances[distances.length - 1];
+    if (distances.length > 1 && lineLength >= length) {
+      const positions = [];
+      if (!center) {
+        for (let distance = spacing / 2; distance <= lineLength - length / 2; distance += spacing) {
+          positions.push(distance);
+        }
+      }
+      if (positions.length == 0) {
+        positions.push(lineLength / 2);
+      }
+      for (let j = 0, jj = positions.length; j < jj; ++j) {
+        const distance = positions[j];
+        const half = center ? lineLength / 2 : Math.min(spacing / 2, distance, lineLength - distance);
+        const from = getPointOnLine(flatCoordinates, start, stride, distances, distance - half);
+        const to = getPointOnLine(flatCoordinates, start, stride, distances, distance + half);
+        const line = [from[0], from[1]];
+        for (let k = from[3]; k < to[3]; ++k) {
+          if (distances[k] > distance - half && distances[k] < distance + half) {
+            line.push(flatCoordinates[start + k * stride], flatCoordinates[start + k * stride + 1]);
+          }
+        }
+        line.push(to[0], to[1]);
+        const point = getPointOnLine(flatCoordinates, start, stride, distances, distance);
+        anchors.push({coordinate: [point[0], point[1]], angle: point[2], line: line});
+      }
+    }
+    start = end;
+  }
+  return anchors;
+}
+
+// Resolves `icon-rotation-alignment` and `text-rotation-alignment`.
+function isMapAligned(rotationAlignment, symbolPlacement) {
+  return rotationAlignment == 'map' || rotationAlignment == 'auto' && symbolPlacement != 'point';
+}
+
+// Rotation of a symbol along a line with the given angle. Upright symbols are
+// flipped when they would be rendered upside down in the rotated view.
+function getLineRotation(rotation, angle, keepUpright, viewRotation) {
+  rotation -= angle;
+  if (keepUpright && Math.cos(rotation + viewRotation) < 0) {
+    rotation += Math.PI;
+  }
+  return rotation;
+}
+
+// Formatted text needs to be rendered section by section when sections have
+// their own font, scale, color or image.
+function isRichText(value) {
+  if (value && value.sections) {
+    for (let i = 0, ii = value.sections.length; i < ii; ++i) {
+      const section = value.sections[i];
+      if (section.image || section.scale || section.fontStack || section.textColor) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function transformText(text, textTransform) {
+  if (textTransform == 'uppercase') {
+    return text.toUpperCase();
+  } else if (textTransform == 'lowercase') {
+    return text.toLowerCase();
+  }
+  return text;
+}
+
 const templateRegEx = /^([^]*)\{(.*)\}([^]*)$/;
 
 function fromTemplate(text, properties) {
@@ -218,10 +1119,7 @@ function fromTemplate(text, properties) {
  */
 export default function(olLayer, glStyle, source, resolutions, spriteData, spriteImageUrl,spriteImage, fonts) {
   if (!resolutions) {
-    resolutions = [];
-    for (let res = 78271.51696402048; resolutions.length < 21; res /= 2) {
-      resolutions.push(res);
-    }
+    resolutions = defaultResolutions;
   }
   if (typeof glStyle == 'string') {
     glStyle = JSON.parse(glStyle);
@@ -245,25 +1143,8 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
   const ctx = document.createElement('CANVAS').getContext('2d');
   const measureCache = {};
 
-  function wrapChineseText(text, maxWidth, ctx) {
-    var textWidth = ctx.measureText(text).width;
-    if (textWidth > maxWidth) {
-      let res = [];
-      let temp = [];
-      let splitText = text.split('');
-      splitText.forEach((singleText) => {
-        let tempText = temp.join('') + singleText;
-        if (ctx.measureText(tempText).width > maxWidth) {
-          res.push(temp.join(''));
-          temp = [singleText];
-        } else {
-          temp.push(singleText);
-        }
-      })
-      res.push(temp.join(''));
-      return res;
-    }
-    return [text];
+  function measureWidth(text) {
+    return ctx.measureText(text).width;
   }
 
   function wrapText(text, font, em) {
@@ -272,83 +1153,443 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
     if (!wrappedText) {
       ctx.font = font;
       const oneEm = ctx.measureText('M').width;
-      const width = oneEm * em;
-      var words = [];
-      if (/[\u4E00-\u9FA5]+/.test(text)) {
-        words = wrapChineseText(text, width, ctx);
-      } else {
-        words = text.split(' ');
+      measureCache[key] = wrappedText = breakLines(text, oneEm * em, measureWidth).join('\n');
+    }
+    return wrappedText;
+  }
+
+  function measureText(text, font) {
+    ctx.font = font;
+    const lines = text.split('\n');
+    let width = 0;
+    for (let i = 0, ii = lines.length; i < ii; ++i) {
+      width = Math.max(width, ctx.measureText(lines[i]).width);
+    }
+    return [width, lines.length];
+  }
+
+  // Returns `text-offset`, or `text-radial-offset` in the direction of the
+  // anchor if set, in ems. With variable anchors, `text-offset` is also
+  // applied in the direction of the anchor.
+  function getTextOffset(layer, zoom, feature, textAnchor, variableAnchor) {
+    if (layer.layout && 'text-radial-offset' in layer.layout) {
+      return getRadialOffset(textAnchor, getValue(layer, 'layout', 'text-radial-offset', zoom, feature));
+    }
+    const textOffset = getValue(layer, 'layout', 'text-offset', zoom, feature);
+    return variableAnchor ? getAnchorOffset(textAnchor, textOffset) : textOffset;
+  }
+
+  // Returns the number of hair spaces that make up `text-letter-spacing`.
+  function getLetterSpaces(font, textSize, letterSpacing) {
+    if (!(letterSpacing > 0)) {
+      return 0;
+    }
+    ctx.font = font;
+    const width = ctx.measureText(hairSpace).width;
+    return width > 0 ? Math.round(letterSpacing * textSize / width) : 0;
+  }
+
+  // Breaks the sections of a formatted label into lines of runs with the same
+  // font and color, with lines at most `maxWidth` pixels wide.
+  function layoutFormatted(sections, fonts, textSize, lineHeight, maxWidth) {
+    const lines = [];
+    let line;
+    function newLine() {
+      line = {runs: [], width: 0, height: 0};
+      lines.push(line);
+    }
+    function addRun(run, scale) {
+      line.runs.push(run);
+      line.width += run.width;
+      line.height = Math.max(line.height, lineHeight * textSize * scale, run.height || 0);
+    }
+    newLine();
+    for (let i = 0, ii = sections.length; i < ii; ++i) {
+      const section = sections[i];
+      const scale = section.scale || 1;
+      if (section.image) {
+        // image sections are left out until the sprite image is loaded
+        const imageData = spriteImage && spriteData && spriteData[section.image.name];
+        if (imageData) {
+          // Images are scaled like glyphs, which Mapbox GL lays out at 24 pixels
+          const imageScale = scale * textSize / 24 / imageData.pixelRatio;
+          const width = imageData.width * imageScale;
+          if (line.runs.length > 0 && line.width + width > maxWidth) {
+            newLine();
+          }
+          addRun({image: imageData, width: width, height: imageData.height * imageScale}, scale);
+        }
+        continue;
       }
-      let line = '';
-      const lines = [];
-      for (let i = 0, ii = words.length; i < ii; ++i) {
-        const word = words[i];
-        if ((ctx.measureText(line + word).width <= width)) {
-          line += (line ? ' ' : '') + word;
-        } else {
-          if (line) {
-            lines.push(line);
+      const font = mb2css(chooseFont(section.fontStack ? section.fontStack.split(',') : fonts), textSize * scale);
+      ctx.font = font;
+      const parts = section.text.split('\n');
+      for (let j = 0, jj = parts.length; j < jj; ++j) {
+        if (j > 0) {
+          newLine();
+        }
+        const words = parts[j].match(/\S+|\s+/g) || [];
+        for (let k = 0, kk = words.length; k < kk; ++k) {
+          const word = words[k];
+          const blank = !word.trim();
+          const width = ctx.measureText(word).width;
+          if (line.runs.length > 0 && !blank && line.width + width > maxWidth) {
+            newLine();
+          }
+          if (blank && line.runs.length == 0) {
+            continue;
           }
-          line = word;
+          addRun({text: word, font: font, color: section.textColor, width: width}, scale);
         }
       }
-      if (line) {
-        lines.push(line);
+    }
+    let width = 0;
+    let height = 0;
+    for (let i = 0, ii = lines.length; i < ii; ++i) {
+      orderRuns(lines[i]);
+      if (lines[i].height == 0) {
+        lines[i].height = lineHeight * textSize;
       }
-      measureCache[key] = wrappedText = lines.join('\n');
+      width = Math.max(width, lines[i].width);
+      height += lines[i].height;
     }
-    return wrappedText;
+    return {lines: lines, width: width, height: height};
+  }
+
+  // Puts the runs of a line with right-to-left text in display order, like
+  // `orderText()` does for plain labels. Runs are split where the display
+  // order changes direction within them.
+  function orderRuns(line) {
+    const runs = line.runs;
+    const text = runs.map(function(run) {
+      return run.image ? '\uFFFC' : run.text;
+    }).join('');
+    if (!rtlTextPlugin || !rtlTextPlugin.processStyledBidirectionalText || !rtlRegEx.test(text)) {
+      return;
+    }
+    const styleIndices = [];
+    for (let i = 0, ii = runs.length; i < ii; ++i) {
+      for (let j = 0, jj = runs[i].image ? 1 : runs[i].text.length; j < jj; ++j) {
+        styleIndices.push(i);
+      }
+    }
+    const ordered = [];
+    let width = 0;
+    rtlTextPlugin.processStyledBidirectionalText(text, styleIndices, []).forEach(function(orderedLine) {
+      const chars = orderedLine[0];
+      const indices = orderedLine[1];
+      let start = 0;
+      for (let i = 1, ii = indices.length; i <= ii; ++i) {
+        if (i < ii && indices[i] == indices[start]) {
+          continue;
+        }
+        let run = runs[indices[start]];
+        if (!run.image) {
+          ctx.font = run.font;
+          const runText = '\u202D' + chars.slice(start, i) + '\u202C';
+          run = assign({}, run, {text: runText, width: ctx.measureText(runText).width});
+        }
+        ordered.push(run);
+        width += run.width;
+        start = i;
+      }
+    });
+    line.runs = ordered;
+    line.width = width;
   }
 
-  const allLayers = derefLayers(glStyle.layers);
+  // Renders a formatted label into an icon, anchored like a text label.
+  function createFormattedLabel(formatted, box, align, textColor, opacity, haloColor, haloWidth) {
+    const pixelRatio = DEVICE_PIXEL_RATIO;
+    const width = formatted.width;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.ceil((width + 2 * haloWidth) * pixelRatio));
+    canvas.height = Math.max(1, Math.ceil((formatted.height + 2 * haloWidth) * pixelRatio));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(pixelRatio, pixelRatio);
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    // Halos first, so they do not cover neighboring runs
+    for (let pass = haloColor ? 0 : 1; pass < 2; ++pass) {
+      let y = haloWidth;
+      for (let i = 0, ii = formatted.lines.length; i < ii; ++i) {
+        const line = formatted.lines[i];
+        let x = haloWidth + (align == 'left' ? 0 : align == 'right' ? width - line.width : (width - line.width) / 2);
+        const middle = y + line.height / 2;
+        for (let j = 0, jj = line.runs.length; j < jj; ++j) {
+          const run = line.runs[j];
+          if (run.image && pass == 1) {
+            const image = run.image;
+            ctx.drawImage(spriteImage, image.x, image.y, image.width, image.height,
+              x, middle - run.height / 2, run.width, run.height);
+          } else if (run.text) {
+            ctx.font = run.font;
+            if (pass == 0) {
+              ctx.strokeStyle = haloColor;
+              ctx.lineWidth = 2 * haloWidth;
+              ctx.strokeText(run.text, x, middle);
+            } else {
+              ctx.fillStyle = colorWithOpacity(run.color || textColor, opacity) || 'rgba(0,0,0,0)';
+              ctx.fillText(run.text, x, middle);
+            }
+          }
+          x += run.width;
+        }
+        y += line.height;
+      }
+    }
+    return new Icon({
+      img: canvas,
+      imgSize: [canvas.width, canvas.height],
+      anchor: [(haloWidth - box[0]) * pixelRatio, (haloWidth - box[1]) * pixelRatio],
+      anchorXUnits: 'pixels',
+      anchorYUnits: 'pixels',
+      scale: 1 / pixelRatio
+    });
+  }
 
-  const layersBySourceLayer = {};
-  const mapboxLayers = [];
-  let mapboxSource;
-  for (let i = 0, ii = allLayers.length; i < ii; ++i) {
-    const layer = allLayers[i];
-    const layerId = layer.id;
-    if (typeof source == 'string' && layer.source == source ||
-      source.indexOf(layerId) !== -1) {
-      const sourceLayer = layer['source-layer'];
-      if (!mapboxSource) {
-        mapboxSource = layer.source;
+  // Draws a sprite image, stretched like a 9-slice image so its content area
+  // covers `box`, and returns an icon that is anchored accordingly.
+  function createFittedIcon(spriteImageData, textFit, box, iconColor) {
+    const pixelRatio = spriteImageData.pixelRatio;
+    const width = spriteImageData.width;
+    const height = spriteImageData.height;
+    const content = spriteImageData.content || [0, 0, width, height];
+    const scaleX = textFit == 'height' ? 1 : getStretchScale(width, spriteImageData.stretchX,
+      content[0], content[2], (box[2] - box[0]) * pixelRatio);
+    const scaleY = textFit == 'width' ? 1 : getStretchScale(height, spriteImageData.stretchY,
+      content[1], content[3], (box[3] - box[1]) * pixelRatio);
+    const xSlices = getSlices(width, spriteImageData.stretchX, scaleX);
+    const ySlices = getSlices(height, spriteImageData.stretchY, scaleY);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.ceil(xSlices[xSlices.length - 1][3]));
+    canvas.height = Math.max(1, Math.ceil(ySlices[ySlices.length - 1][3]));
+    const ctx = canvas.getContext('2d');
+    for (let i = 0, ii = xSlices.length; i < ii; ++i) {
+      const x = xSlices[i];
+      for (let j = 0, jj = ySlices.length; j < jj; ++j) {
+        const y = ySlices[j];
+        if (x[1] > x[0] && y[1] > y[0] && x[3] > x[2] && y[3] > y[2]) {
+          ctx.drawImage(spriteImage,
+            spriteImageData.x + x[0], spriteImageData.y + y[0], x[1] - x[0], y[1] - y[0],
+            x[2], y[2], x[3] - x[2], y[3] - y[2]);
+        }
       }
-      let layers = layersBySourceLayer[sourceLayer];
-      if (!layers) {
-        layers = layersBySourceLayer[sourceLayer] = [];
+    }
+    if (iconColor !== null) {
+      colorIcon(ctx, canvas, iconColor);
+    }
+    // The center of the content area is placed at the center of the box
+    const contentX = (getSlicePosition(xSlices, content[0]) + getSlicePosition(xSlices, content[2])) / 2;
+    const contentY = (getSlicePosition(ySlices, content[1]) + getSlicePosition(ySlices, content[3])) / 2;
+    return new Icon({
+      img: canvas,
+      imgSize: [canvas.width, canvas.height],
+      anchor: [
+        contentX - (box[0] + box[2]) / 2 * pixelRatio,
+        contentY - (box[1] + box[3]) / 2 * pixelRatio
+      ],
+      anchorXUnits: 'pixels',
+      anchorYUnits: 'pixels',
+      scale: 1 / pixelRatio
+    });
+  }
+
+  // Labels placed with variable anchors in the current frame, so later labels
+  // can try their next anchor instead of being decluttered. The index is reset
+  // before the next frame is prepared. Only labels of this OpenLayers layer are
+  // avoided, and the anchors chosen for vector tiles are kept in the tiles'
+  // rendered replays until the tiles are rendered again.
+  const labelIndex = new RBush();
+  let placedLabels = {};
+
+  // Returns the index of the first box that does not collide with labels
+  // placed before in the same frame, or -1 if all collide.
+  function placeLabel(key, coordinates, boxes, resolution) {
+    if (placedLabels[key]) {
+      labelIndex.remove(placedLabels[key]);
+      delete placedLabels[key];
+    }
+    const x = coordinates[0];
+    const y = coordinates[1];
+    for (let i = 0, ii = boxes.length; i < ii; ++i) {
+      const box = boxes[i];
+      const extent = [x + box[0] * resolution, y - box[3] * resolution, x + box[2] * resolution, y - box[1] * resolution];
+      if (labelIndex.getInExtent(extent).length == 0) {
+        const placed = placedLabels[key] = {key: key};
+        labelIndex.insert(extent, placed);
+        return i;
       }
-      layers.push({
-        layer: layer,
-        index: i
-      });
-      mapboxLayers.push(layerId);
     }
-    // // TODO revisit when diffing gets added
-    delete functionCache[layerId];
-    delete filterCache[layerId];
+    return -1;
+  }
+
+  let layersBySourceLayer, mapboxLayers, mapboxSource;
+
+  function setLayers(source) {
+    const allLayers = derefLayers(glStyle.layers);
+    layersBySourceLayer = {};
+    mapboxLayers = [];
+    mapboxSource = undefined;
+    for (let i = 0, ii = allLayers.length; i < ii; ++i) {
+      const layer = allLayers[i];
+      const layerId = layer.id;
+      if (typeof source == 'string' && layer.source == source ||
+        source.indexOf(layerId) !== -1) {
+        const sourceLayer = layer['source-layer'];
+        if (!mapboxSource) {
+          mapboxSource = layer.source;
+        }
+        let layers = layersBySourceLayer[sourceLayer];
+        if (!layers) {
+          layers = layersBySourceLayer[sourceLayer] = [];
+        }
+        layers.push({
+          layer: layer,
+          index: i
+        });
+        mapboxLayers.push(layerId);
+      }
+    }
+  }
+
+  setLayers(source);
+  for (let i = 0, ii = mapboxLayers.length; i < ii; ++i) {
+    clearFunctionCache(mapboxLayers[i]);
+    clearFilterCache(mapboxLayers[i]);
   }
   const iconImageCache = {};
 
   const styles = [];
   const patternCache = {};
+  const labelCacheKey = ++styleFunctionCount + '.';
+
+  // Returns an invisible image for decluttering, so symbols that are rendered
+  // without decluttering still keep other symbols from overlapping them.
+  function getPlaceholder(image) {
+    const size = image.getSize();
+    const anchor = image.getAnchor();
+    const scale = image.getScale();
+    const rotation = image.getRotation();
+    const rotateWithView = image.getRotateWithView();
+    const key = 'placeholder.' + size + '.' + anchor + '.' + scale + '.' + rotation + '.' + rotateWithView;
+    return getLabelImage(labelCacheKey + key, function() {
+      const canvas = document.createElement('canvas');
+      canvas.width = size[0];
+      canvas.height = size[1];
+      return new Icon({
+        img: canvas,
+        imgSize: size,
+        anchor: anchor,
+        anchorXUnits: 'pixels',
+        anchorYUnits: 'pixels',
+        scale: scale,
+        rotation: rotation,
+        rotateWithView: rotateWithView
+      });
+    });
+  }
+
+  // Icons along lines are rotated to the direction of the line, in steps of
+  // one degree to keep the cache small.
+  function getRotatedIcon(image, key, rotation, fitted) {
+    const degrees = ((Math.round(rotation * 180 / Math.PI) % 360) + 360) % 360;
+    const rotated_cache_key = key + '.rotated.' + degrees;
+    const create = function() {
+      return new Icon({
+        img: image.getImage(1),
+        imgSize: image.getSize(),
+        anchor: image.getAnchor(),
+        anchorXUnits: 'pixels',
+        anchorYUnits: 'pixels',
+        scale: image.getScale(),
+        rotation: deg2rad(degrees),
+        rotateWithView: true
+      });
+    };
+    let rotated;
+    if (fitted) {
+      rotated = getLabelImage(labelCacheKey + rotated_cache_key, create);
+    } else {
+      rotated = iconImageCache[rotated_cache_key];
+      if (!rotated) {
+        rotated = iconImageCache[rotated_cache_key] = create();
+      }
+    }
+    rotated.setOpacity(image.getOpacity());
+    return rotated;
+  }
+
+  function getSpritePattern(icon, opacity, scale) {
+    const icon_cache_key = icon + '.' + opacity + '.' + scale;
+    let pattern = patternCache[icon_cache_key];
+    if (!pattern) {
+      const spriteImageData = spriteData[icon];
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(spriteImageData.width * scale));
+      canvas.height = Math.max(1, Math.round(spriteImageData.height * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.globalAlpha = opacity;
+      ctx.drawImage(
+        spriteImage,
+        spriteImageData.x,
+        spriteImageData.y,
+        spriteImageData.width,
+        spriteImageData.height,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+      );
+      pattern = ctx.createPattern(canvas, 'repeat');
+      patternCache[icon_cache_key] = pattern;
+    }
+    return pattern;
+  }
+
+  function createLinePatternRenderer(icon, width, opacity) {
+    return function(coordinates, state) {
+      const context = state.context;
+      const lineWidth = width * state.pixelRatio;
+      const scale = lineWidth / spriteData[icon].height;
+      context.save();
+      context.fillStyle = getSpritePattern(icon, opacity, scale);
+      forEachLine(coordinates, function(line) {
+        drawPatternLine(context, line, lineWidth);
+      });
+      context.restore();
+    };
+  }
+  let viewRotation = 0;
+  // Whether styles depend on the view rotation
+  let rotationDependent = false;
+
+  function getStyleGeometry(feature, offset, translate, anchor, resolution) {
+    const translated = translate[0] != 0 || translate[1] != 0;
+    if (offset == 0 && !translated) {
+      return undefined;
+    }
+    if (translated && anchor == 'viewport') {
+      rotationDependent = true;
+    }
+    const translation = getTranslation(translate, anchor, resolution, viewRotation);
+    return offsetGeometry(feature.getGeometry(), offset * resolution, translation[0], translation[1]);
+  }
 
   const styleFunction = function(feature, resolution) {
-    const properties = feature.getProperties();
+    const f = toGlFeature(feature);
+    const properties = f.properties;
+    const type = f.type;
     feature.styleIds = feature.styleIds || {};
     const layers = layersBySourceLayer[properties.layer];
     if (!layers) {
       return;
     }
-    let zoom = resolutions.indexOf(resolution);
-    if (zoom == -1) {
-      zoom = Math.round(getZoomForResolution(resolution, resolutions));
-    }
-    const type = types[feature.getGeometry().getType()];
-    const f = {
-      properties: properties,
-      type: type
-    };
+    const zoom = getZoom(resolution, resolutions);
+    const source = olLayer.getSource();
+    const featureStates = source && source.get('mapbox-featurestate');
+    const sourceLayerStates = featureStates && featureStates[properties.layer || ''];
+    const featureState = sourceLayerStates && sourceLayerStates[f.id] || emptyObj;
     let stylesLength = -1;
     for (let i = 0, ii = layers.length; i < ii; ++i) {
       const layerData = layers[i];
@@ -368,9 +1609,12 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
         let color, opacity, fill, stroke, strokeColor, style;
         const index = layerData.index;
         if (type == 3 && layer.type == 'fill') {
-          opacity = getValue(layer, 'paint', 'fill-opacity', zoom, f);
+          opacity = getValue(layer, 'paint', 'fill-opacity', zoom, f, featureState);
+          const fillGeometry = getStyleGeometry(feature, 0,
+            getValue(layer, 'paint', 'fill-translate', zoom, f, featureState),
+            getValue(layer, 'paint', 'fill-translate-anchor', zoom, f), resolution);
           if ('fill-pattern' in paint) {
-            const iconImage = getValue(layer, 'paint', 'fill-pattern', zoom, f);
+            const iconImage = getValue(layer, 'paint', 'fill-pattern', zoom, f, featureState);
             if (iconImage) {
               icon = typeof iconImage === 'string' ? fromTemplate(iconImage, properties) : iconImage.toString();
               if (spriteImage && spriteData && spriteData[icon]) {
@@ -385,35 +1629,13 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
                   });
                 }
                 fill = style.getFill();
+                style.setGeometry(fillGeometry);
                 style.setZIndex(index);
-                const icon_cache_key = icon + '.' + opacity;
-                let pattern = patternCache[icon_cache_key];
-                if (!pattern) {
-                  const spriteImageData = spriteData[icon];
-                  const canvas = document.createElement('canvas');
-                  canvas.width = spriteImageData.width;
-                  canvas.height = spriteImageData.height;
-                  const ctx = canvas.getContext('2d');
-                  ctx.globalAlpha = opacity;
-                  ctx.drawImage(
-                    spriteImage,
-                    spriteImageData.x,
-                    spriteImageData.y,
-                    spriteImageData.width,
-                    spriteImageData.height,
-                    0,
-                    0,
-                    spriteImageData.width,
-                    spriteImageData.height
-                  );
-                  pattern = ctx.createPattern(canvas, 'repeat');
-                  patternCache[icon_cache_key] = pattern;
-                }
-                fill.setColor(pattern);
+                fill.setColor(getSpritePattern(icon, opacity, 1));
               }
             }
           } else if ('fill-color' in paint) {
-            color = colorWithOpacity(getValue(layer, 'paint', 'fill-color', zoom, f), opacity);
+            color = colorWithOpacity(getValue(layer, 'paint', 'fill-color', zoom, f, featureState), opacity);
             if (color) {
               ++stylesLength;
               if (feature.styleIds[zoom].indexOf(layerId) === -1) {
@@ -427,10 +1649,11 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
               }
               fill = style.getFill();
               fill.setColor(color);
+              style.setGeometry(fillGeometry);
               style.setZIndex(index);
             }
             if ('fill-outline-color' in paint) {
-              strokeColor = colorWithOpacity(getValue(layer, 'paint', 'fill-outline-color', zoom, properties), opacity);
+              strokeColor = colorWithOpacity(getValue(layer, 'paint', 'fill-outline-color', zoom, f, featureState), opacity);
             } else if ('fill-antialias' in paint) {
               strokeColor = color;
             }
@@ -448,41 +1671,207 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
               stroke = style.getStroke();
               stroke.setColor(strokeColor);
               stroke.setWidth(1);
+              style.setGeometry(fillGeometry);
               style.setZIndex(index);
             }
           }
         }
-        if (type != 1 && layer.type == 'line') {
-          color = !('line-pattern' in paint) && 'line-color' in paint ?
-            colorWithOpacity(getValue(layer, 'paint', 'line-color', zoom, f), getValue(layer, 'paint', 'line-opacity', zoom, f)) :
-            undefined;
-          const width = getValue(layer, 'paint', 'line-width', zoom, f);
-          if (color && width > 0) {
-            ++stylesLength;
+        if (type == 3 && layer.type == 'fill-extrusion') {
+          opacity = getValue(layer, 'paint', 'fill-extrusion-opacity', zoom, f, featureState);
+          color = getValue(layer, 'paint', 'fill-extrusion-color', zoom, f, featureState);
+          const roofColor = colorWithOpacity(color, opacity);
+          if (roofColor) {
+            const height = getValue(layer, 'paint', 'fill-extrusion-height', zoom, f, featureState);
+            const base = Math.min(getValue(layer, 'paint', 'fill-extrusion-base', zoom, f, featureState), height);
+            // the approximation only works when north is up
+            const geometries = viewRotation != 0 || height <= base ? [undefined, feature.getGeometry()] :
+              getExtrusionGeometries(feature.getGeometry(), base, height);
+            const colors = [
+              colorWithOpacity({r: color.r * 0.75, g: color.g * 0.75, b: color.b * 0.75, a: color.a}, opacity),
+              roofColor
+            ];
             if (feature.styleIds[zoom].indexOf(layerId) === -1) {
               feature.styleIds[zoom].push(layerId);
             }
-            style = styles[stylesLength];
-            if (!style || !style.getStroke() || style.getFill() || style.getText()) {
-              style = styles[stylesLength] = new Style({
-                stroke: new Stroke()
-              });
+            for (let j = 0; j < 2; ++j) {
+              if (!geometries[j]) {
+                continue;
+              }
+              ++stylesLength;
+              style = styles[stylesLength];
+              if (!style || !style.getFill() || style.getStroke() || style.getText()) {
+                style = styles[stylesLength] = new Style({
+                  fill: new Fill()
+                });
+              }
+              style.setGeometry(geometries[j]);
+              style.getFill().setColor(colors[j]);
+              style.setZIndex(index);
+            }
+          }
+        }
+        if (type != 1 && layer.type == 'line') {
+          const glSource = glStyle.sources[layer.source];
+          const gradient = !('line-pattern' in paint) && 'line-gradient' in paint &&
+            glSource && glSource.lineMetrics;
+          color = !('line-pattern' in paint) && !gradient && 'line-color' in paint ?
+            colorWithOpacity(getValue(layer, 'paint', 'line-color', zoom, f, featureState), getValue(layer, 'paint', 'line-opacity', zoom, f, featureState)) :
+            undefined;
+          const width = getValue(layer, 'paint', 'line-width', zoom, f, featureState);
+          const offset = getValue(layer, 'paint', 'line-offset', zoom, f, featureState);
+          const gapWidth = getValue(layer, 'paint', 'line-gap-width', zoom, f, featureState);
+          const translate = getValue(layer, 'paint', 'line-translate', zoom, f, featureState);
+          const translateAnchor = getValue(layer, 'paint', 'line-translate-anchor', zoom, f);
+          // With a gap width, the line is rendered as two parallel lines
+          const offsets = gapWidth > 0 ?
+            [offset - (gapWidth + width) / 2, offset + (gapWidth + width) / 2] : [offset];
+          for (let j = 0, jj = offsets.length; j < jj; ++j) {
+            const lineGeometry = getStyleGeometry(feature, offsets[j], translate, translateAnchor, resolution);
+            if ('line-pattern' in paint && width > 0) {
+              const iconImage = getValue(layer, 'paint', 'line-pattern', zoom, f, featureState);
+              if (iconImage) {
+                icon = typeof iconImage === 'string' ? fromTemplate(iconImage, properties) : iconImage.toString();
+                opacity = getValue(layer, 'paint', 'line-opacity', zoom, f, featureState);
+                if (spriteImage && spriteData && spriteData[icon] && opacity > 0) {
+                  ++stylesLength;
+                  if (feature.styleIds[zoom].indexOf(layerId) === -1) {
+                    feature.styleIds[zoom].push(layerId);
+                  }
+                  style = styles[stylesLength];
+                  if (!style || !style.getRenderer()) {
+                    style = styles[stylesLength] = new Style();
+                  }
+                  style.setRenderer(createLinePatternRenderer(icon, width, opacity));
+                  style.setGeometry(lineGeometry);
+                  style.setZIndex(index);
+                }
+              }
+            }
+            if (gradient && width > 0) {
+              opacity = getValue(layer, 'paint', 'line-opacity', zoom, f, featureState);
+              if (opacity > 0) {
+                ++stylesLength;
+                if (feature.styleIds[zoom].indexOf(layerId) === -1) {
+                  feature.styleIds[zoom].push(layerId);
+                }
+                style = styles[stylesLength];
+                if (!style || !style.getRenderer()) {
+                  style = styles[stylesLength] = new Style();
+                }
+                style.setRenderer(createLineGradientRenderer(getLineGradientRamp(layer), width, opacity,
+                  getValue(layer, 'layout', 'line-cap', zoom, f), getValue(layer, 'layout', 'line-join', zoom, f)));
+                style.setGeometry(lineGeometry);
+                style.setZIndex(index);
+              }
+            }
+            if (color && width > 0) {
+              ++stylesLength;
+              if (feature.styleIds[zoom].indexOf(layerId) === -1) {
+                feature.styleIds[zoom].push(layerId);
+              }
+              const lineCap = getValue(layer, 'layout', 'line-cap', zoom, f);
+              const lineJoin = getValue(layer, 'layout', 'line-join', zoom, f);
+              const miterLimit = getValue(layer, 'layout', 'line-miter-limit', zoom, f);
+              const lineDash = paint['line-dasharray'] ?
+                getValue(layer, 'paint', 'line-dasharray', zoom, f, featureState).map(function(x) {
+                  return x * width;
+                }) : null;
+              const blur = getValue(layer, 'paint', 'line-blur', zoom, f, featureState);
+              style = styles[stylesLength];
+              if (blur > 0) {
+                if (!style || !style.getRenderer()) {
+                  style = styles[stylesLength] = new Style();
+                }
+                style.setRenderer(createBlurredLineRenderer(color, width, blur, lineCap, lineJoin, miterLimit, lineDash));
+              } else {
+                if (!style || !style.getStroke() || style.getFill() || style.getText()) {
+                  style = styles[stylesLength] = new Style({
+                    stroke: new Stroke()
+                  });
+                }
+                stroke = style.getStroke();
+                stroke.setLineCap(lineCap);
+                stroke.setLineJoin(lineJoin);
+                stroke.setMiterLimit(miterLimit);
+                stroke.setColor(color);
+                stroke.setWidth(width);
+                stroke.setLineDash(lineDash);
+              }
+              style.setGeometry(lineGeometry);
+              style.setZIndex(index);
             }
-            stroke = style.getStroke();
-            stroke.setLineCap(getValue(layer, 'layout', 'line-cap', zoom, f));
-            stroke.setLineJoin(getValue(layer, 'layout', 'line-join', zoom, f));
-            stroke.setMiterLimit(getValue(layer, 'layout', 'line-miter-limit', zoom, f));
-            stroke.setColor(color);
-            stroke.setWidth(width);
-            stroke.setLineDash(paint['line-dasharray'] ?
-              getValue(layer, 'paint', 'line-dasharray', zoom, f).map(function(x) {
-                return x * width;
-              }) : null);
-            style.setZIndex(index);
+          }
+        }
+        let label, textSize, font, wrappedLabel, formatted, textExtent, textAnchor, textOffset;
+        const symbol = layer.type == 'symbol';
+        const textAllowOverlap = symbol && getValue(layer, 'layout', 'text-allow-overlap', zoom, f);
+        const iconAllowOverlap = symbol && getValue(layer, 'layout', 'icon-allow-overlap', zoom, f);
+        if ('text-field' in layout) {
+          const textField = getValue(layer, 'layout', 'text-field', zoom, f);
+          label = typeof textField === 'string' ? fromTemplate(textField, properties) : textField.toString();
+          // Labels that are not decluttered are rendered like formatted labels
+          if ((isRichText(textField) || textAllowOverlap && label) &&
+              (type == 1 || getValue(layer, 'layout', 'symbol-placement', zoom, f) == 'point')) {
+            formatted = textField.sections ? textField : {sections: [{text: label}]};
+          }
+        }
+        if (label || formatted) {
+          textSize = getValue(layer, 'layout', 'text-size', zoom, f);
+          const textFont = getValue(layer, 'layout', 'text-font', zoom, f);
+          const textLineHeight = getValue(layer, 'layout', 'text-line-height', zoom, f);
+          const maxWidth = getValue(layer, 'layout', 'text-max-width', zoom, f);
+          font = mb2css(chooseFont(textFont), textSize);
+          const textTransform = layout['text-transform'];
+          const letterSpaces = getLetterSpaces(font, textSize,
+            getValue(layer, 'layout', 'text-letter-spacing', zoom, f));
+          if (formatted) {
+            const sections = formatted.sections.map(function(section) {
+              return assign({}, section, {
+                text: spaceLetters(shapeText(transformText(section.text, textTransform)), letterSpaces)
+              });
+            });
+            ctx.font = font;
+            formatted = layoutFormatted(sections, textFont, textSize, textLineHeight,
+              type == 2 ? Infinity : ctx.measureText('M').width * maxWidth);
+            textExtent = [formatted.width, formatted.height];
+          } else {
+            label = shapeText(transformText(label, textTransform));
+            wrappedLabel = orderText(spaceLetters(type == 2 ? label : wrapText(label, font, maxWidth), letterSpaces));
+            const size = measureText(wrappedLabel, font);
+            textExtent = [size[0], size[1] * textLineHeight * textSize];
+          }
+          textAnchor = getValue(layer, 'layout', 'text-anchor', zoom, f);
+          textOffset = getTextOffset(layer, zoom, f, textAnchor);
+          if (type == 1 && 'text-variable-anchor' in layout) {
+            const anchors = getValue(layer, 'layout', 'text-variable-anchor', zoom, f);
+            const offsets = anchors.map(function(anchor) {
+              return getTextOffset(layer, zoom, f, anchor, true);
+            });
+            const coordinates = feature.getGeometry().getFlatCoordinates();
+            const chosen = placeLabel(layerId + '/' + coordinates[0] + ',' + coordinates[1] + '/' + label,
+              coordinates, anchors.map(function(anchor, i) {
+                return getTextBox(textExtent, textSize, anchor, offsets[i]);
+              }), resolution);
+            // When all anchors collide, decluttering will hide the label
+            textAnchor = anchors[Math.max(chosen, 0)];
+            textOffset = offsets[Math.max(chosen, 0)];
           }
         }
 
+        let symbolZIndex = 99999 - index;
+        if (symbol) {
+          const extent = feature.getGeometry().getExtent();
+          symbolZIndex = getSymbolZIndex(index, getValue(layer, 'layout', 'symbol-z-order', zoom, f),
+            getValue(layer, 'layout', 'symbol-sort-key', zoom, f), (extent[1] + extent[3]) / 2,
+            textAllowOverlap || iconAllowOverlap);
+        }
+
+        const symbolPlacement = symbol ? getValue(layer, 'layout', 'symbol-placement', zoom, f) : 'point';
         let hasImage = false;
+        // Symbols along lines are placed at anchors, others use the feature geometry
+        let symbolGeometries = [undefined];
+        let symbolAnchors;
+        const iconStyles = [];
         let text = null;
         let skipLabel;
         if ((type == 1 || type == 2) && 'icon-image' in layout) {
@@ -491,99 +1880,134 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
             icon = typeof iconImage === 'string'
               ? fromTemplate(iconImage, properties)
               : iconImage.toString();
-            let styleGeom = undefined;
             if (spriteImage && spriteData && spriteData[icon]) {
-              if (type == 2) {
-                const geom = feature.getGeometry();
-                // ol package and ol-debug.js only
-                if (geom.getFlatMidpoint) {
-                  const extent = geom.getExtent();
-                  const size = Math.sqrt(Math.max(
-                    Math.pow((extent[2] - extent[0]) / resolution, 2),
-                    Math.pow((extent[3] - extent[1]) / resolution, 2)));
-                  if (size > 150) {
-                    //FIXME Do not hard-code a size of 150
-                    styleGeom = new Point(geom.getFlatMidpoint());
-                  }
+              const iconSize = getValue(layer, 'layout', 'icon-size', zoom, f);
+              const iconColor = paint['icon-color'] !== undefined ? getValue(layer, 'paint', 'icon-color', zoom, f, featureState) : null;
+              const iconTranslate = getValue(layer, 'paint', 'icon-translate', zoom, f, featureState);
+              const iconTranslateAnchor = getValue(layer, 'paint', 'icon-translate-anchor', zoom, f, featureState);
+              const iconAnchorValue = getValue(layer, 'layout', 'icon-anchor', zoom, f);
+              const iconOffset = getValue(layer, 'layout', 'icon-offset', zoom, f);
+              let {
+                anchorOffset,
+                iconAnchor = iconAnchorValue
+              } = covertIconAnchor(iconAnchorValue);
+              const iconTextFit = textExtent ? getValue(layer, 'layout', 'icon-text-fit', zoom, f) : 'none';
+              let textBox;
+              let icon_cache_key = icon + '.' + iconSize + '.' + iconTranslate + '.' + iconTranslateAnchor + '.' + iconAnchor + '.' + iconOffset + '.' + anchorOffset;
+              if (iconTextFit != 'none') {
+                const padding = getValue(layer, 'layout', 'icon-text-fit-padding', zoom, f);
+                textBox = getTextBox(textExtent, textSize, textAnchor, textOffset);
+                textBox = [
+                  textBox[0] - padding[3] + iconOffset[0],
+                  textBox[1] - padding[0] + iconOffset[1],
+                  textBox[2] + padding[1] + iconOffset[0],
+                  textBox[3] + padding[2] + iconOffset[1]
+                ];
+                icon_cache_key = icon + '.' + iconTextFit + '.' + textBox;
+              }
+              if (iconColor !== null) {
+                icon_cache_key += '.' + iconColor;
+              }
+              if (textBox) {
+                iconImg = getLabelImage(labelCacheKey + icon_cache_key, function() {
+                  return createFittedIcon(spriteData[icon], iconTextFit, textBox, iconColor);
+                });
+              } else {
+                iconImg = iconImageCache[icon_cache_key];
+              }
+              if (!iconImg) {
+                const spriteImageData = spriteData[icon];
+                const canvas = document.createElement('canvas');
+                canvas.width = spriteImageData.width;
+                canvas.height = spriteImageData.height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(
+                  spriteImage,
+                  spriteImageData.x,
+                  spriteImageData.y,
+                  spriteImageData.width,
+                  spriteImageData.height,
+                  0,
+                  0,
+                  spriteImageData.width,
+                  spriteImageData.height
+                );
+                if (iconColor !== null) {
+                  colorIcon(ctx, canvas, iconColor);
                 }
+                const translateOffset = [iconTranslate[0] / spriteImageData.width, iconTranslate[1] / spriteImageData.height];
+                iconImg = iconImageCache[icon_cache_key] = new Icon({
+                  img: canvas,
+                  anchorOrigin: iconAnchor,
+                  anchor: [iconOffset[0] + anchorOffset[0] + translateOffset[0], iconOffset[1] + anchorOffset[1] - translateOffset[1]],
+                  imgSize: [canvas.width, canvas.height],
+                  scale: iconSize / spriteImageData.pixelRatio
+                });
               }
-              if (type !== 2 || styleGeom) {
-                ++stylesLength;
-                if (feature.styleIds[zoom].indexOf(layerId) === -1) {
-                  feature.styleIds[zoom].push(layerId);
+              let rotateValue = getValue(layer, 'layout', 'icon-rotate', zoom, f);
+              if (rotateValue.indexOf && rotateValue.indexOf('{') === 0) {
+                rotateValue = 360 - fromTemplate(rotateValue, properties);
+              }
+              iconImg.setRotation(deg2rad(rotateValue));
+              iconImg.setOpacity(getValue(layer, 'paint', 'icon-opacity', zoom, f, featureState));
+              if (type == 2) {
+                const iconLength = iconImg.getSize()[0] * iconImg.getScale();
+                symbolAnchors = getLineAnchors(feature.getGeometry(),
+                  getValue(layer, 'layout', 'symbol-spacing', zoom, f) * resolution,
+                  Math.max(iconLength, textExtent ? textExtent[0] : 0) * resolution,
+                  symbolPlacement != 'line');
+                symbolGeometries = symbolAnchors.map(function(anchor) {
+                  return new Point(anchor.coordinate);
+                });
+              }
+              const iconRotateWithView = isMapAligned(
+                getValue(layer, 'layout', 'icon-rotation-alignment', zoom, f), symbolPlacement);
+              iconImg.setRotateWithView(iconRotateWithView);
+              const alongLine = symbolAnchors && symbolPlacement != 'point' && iconRotateWithView;
+              const keepUpright = alongLine && getValue(layer, 'layout', 'icon-keep-upright', zoom, f);
+              if (keepUpright) {
+                rotationDependent = true;
+              }
+              if (symbolGeometries.length && feature.styleIds[zoom].indexOf(layerId) === -1) {
+                feature.styleIds[zoom].push(layerId);
+              }
+              for (let i = 0, ii = symbolGeometries.length; i < ii; ++i) {
+                let image = iconImg;
+                if (alongLine) {
+                  image = getRotatedIcon(iconImg, icon_cache_key,
+                    getLineRotation(iconImg.getRotation(), symbolAnchors[i].angle, keepUpright, viewRotation), !!textBox);
                 }
+                ++stylesLength;
                 style = styles[stylesLength];
-                if (!style || !style.getImage() || style.getFill() || style.getStroke()) {
+                if (iconAllowOverlap ? !style || !style.getRenderer() :
+                  !style || !style.getImage() || style.getFill() || style.getStroke()) {
                   style = styles[stylesLength] = new Style();
                 }
-                style.setGeometry(styleGeom);
-                const iconSize = getValue(layer, 'layout', 'icon-size', zoom, f);
-                const iconColor = paint['icon-color'] !== undefined ? getValue(layer, 'paint', 'icon-color', zoom, f) : null;
-                const iconTranslate = getValue(layer, 'paint', 'icon-translate', zoom, f);
-                const iconTranslateAnchor = getValue(layer, 'paint', 'icon-translate-anchor', zoom, f);
-                const iconAnchorValue = getValue(layer, 'layout', 'icon-anchor', zoom, f);
-                const iconOffset = getValue(layer, 'layout', 'icon-offset', zoom, f);
-                let {
-                  anchorOffset,
-                  iconAnchor = iconAnchorValue
-                } = covertIconAnchor(iconAnchorValue);
-                let icon_cache_key = icon + '.' + iconSize + '.' + iconTranslate + '.' + iconTranslateAnchor + '.' + iconAnchor + '.' + iconOffset + '.' + anchorOffset;
-                if (iconColor !== null) {
-                  icon_cache_key += '.' + iconColor;
-                }
-                iconImg = iconImageCache[icon_cache_key];
-                if (!iconImg) {
-                  const spriteImageData = spriteData[icon];
-                  const canvas = document.createElement('canvas');
-                  canvas.width = spriteImageData.width;
-                  canvas.height = spriteImageData.height;
-                  const ctx = canvas.getContext('2d');
-                  ctx.drawImage(
-                    spriteImage,
-                    spriteImageData.x,
-                    spriteImageData.y,
-                    spriteImageData.width,
-                    spriteImageData.height,
-                    0,
-                    0,
-                    spriteImageData.width,
-                    spriteImageData.height
-                  );
-                  const data = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                  if (iconColor !== null) {
-                    // cut out the sprite and color it
-                    color = colorWithOpacity(iconColor, 1);
-                    for (let c = 0, cc = data.data.length; c < cc; c += 4) {
-                      data.data[c] = color[0];
-                      data.data[c + 1] = color[1];
-                      data.data[c + 2] = color[2];
+                style.setGeometry(symbolGeometries[i]);
+                if (iconAllowOverlap) {
+                  style.setRenderer(createImageRenderer(image));
+                  style.setZIndex(symbolZIndex);
+                  if (!getValue(layer, 'layout', 'icon-ignore-placement', zoom, f)) {
+                    ++stylesLength;
+                    style = styles[stylesLength];
+                    if (!style || !style.getImage() || style.getFill() || style.getStroke()) {
+                      style = styles[stylesLength] = new Style();
                     }
+                    style.setImage(getPlaceholder(image));
+                    style.setText(undefined);
+                    style.setGeometry(symbolGeometries[i]);
+                    style.setZIndex(symbolZIndex);
                   }
-                  ctx.putImageData(data, 0, 0);
-                  const translateOffset = [iconTranslate[0] / spriteImageData.width, iconTranslate[1] / spriteImageData.height];
-                  iconImg = iconImageCache[icon_cache_key] = new Icon({
-                    img: canvas,
-                    anchorOrigin: iconAnchor,
-                    anchor: [iconOffset[0] + anchorOffset[0] + translateOffset[0], iconOffset[1] + anchorOffset[1] - translateOffset[1]],
-                    imgSize: [canvas.width, canvas.height],
-                    scale: iconSize / spriteImageData.pixelRatio
-                  });
-                }
-                let rotateValue = getValue(layer, 'layout', 'icon-rotate', zoom, f);
-                if (rotateValue.indexOf && rotateValue.indexOf('{') === 0) {
-                  rotateValue = 360 - fromTemplate(rotateValue, properties);
+                } else {
+                  style.setImage(image);
+                  text = style.getText() || text;
+                  style.setText(undefined);
+                  style.setZIndex(symbolZIndex);
+                  iconStyles.push(style);
                 }
-                iconImg.setRotation(deg2rad(rotateValue));
-                iconImg.setOpacity(getValue(layer, 'paint', 'icon-opacity', zoom, f));
-                style.setImage(iconImg);
-                text = style.getText();
-                style.setText(undefined);
-                style.setZIndex(99999 - index);
-                hasImage = true;
-                skipLabel = false;
-              } else {
-                skipLabel = true;
               }
+              hasImage = symbolGeometries.length > 0;
+              skipLabel = !hasImage;
             }
           }
         }
@@ -597,16 +2021,25 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
           if (!style || !style.getImage() || style.getFill() || style.getStroke()) {
             style = styles[stylesLength] = new Style();
           }
-          const circleRadius = getValue(layer, 'paint', 'circle-radius', zoom, f);
-          const circleStrokeColor = getValue(layer, 'paint', 'circle-stroke-color', zoom, f);
-          const circleColor = getValue(layer, 'paint', 'circle-color', zoom, f);
-          const circleOpacity = getValue(layer, 'paint', 'circle-opacity', zoom, f);
-          const circleStrokeWidth = getValue(layer, 'paint', 'circle-stroke-width', zoom, f);
-          const circleStrokeOpacity = getValue(layer, 'paint', 'circle-stroke-opacity', zoom, f);
+          const circleRadius = getValue(layer, 'paint', 'circle-radius', zoom, f, featureState);
+          const circleStrokeColor = getValue(layer, 'paint', 'circle-stroke-color', zoom, f, featureState);
+          const circleColor = getValue(layer, 'paint', 'circle-color', zoom, f, featureState);
+          const circleOpacity = getValue(layer, 'paint', 'circle-opacity', zoom, f, featureState);
+          const circleStrokeWidth = getValue(layer, 'paint', 'circle-stroke-width', zoom, f, featureState);
+          const circleStrokeOpacity = getValue(layer, 'paint', 'circle-stroke-opacity', zoom, f, featureState);
+          const circleBlur = getValue(layer, 'paint', 'circle-blur', zoom, f, featureState);
           const cache_key = circleRadius + '.' + circleStrokeColor + '.' +
-            circleColor + '.' + circleOpacity + '.' + circleStrokeWidth + '.' + circleStrokeOpacity;
+            circleColor + '.' + circleOpacity + '.' + circleStrokeWidth + '.' + circleStrokeOpacity +
+            '.' + circleBlur;
           iconImg = iconImageCache[cache_key];
-          if (!iconImg) {
+          if (!iconImg && circleBlur > 0) {
+            const canvas = createBlurredCircle(circleRadius, circleColor, circleOpacity,
+              circleStrokeWidth, circleStrokeColor, circleStrokeOpacity, circleBlur);
+            iconImg = iconImageCache[cache_key] = new Icon({
+              img: canvas,
+              imgSize: [canvas.width, canvas.height]
+            });
+          } else if (!iconImg) {
             iconImg = new Circle({
               radius: circleRadius,
               stroke: circleStrokeWidth === 0 ? undefined : new Stroke({
@@ -626,89 +2059,158 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
           hasImage = true;
         }
 
-        let label;
-        if ('text-field' in layout) {
-          const textField = getValue(layer, 'layout', 'text-field', zoom, f);
-          label = fromTemplate(textField, properties);
-        }
-        if (label && !skipLabel) {
-          if (!hasImage) {
+        if (formatted && !skipLabel) {
+          ++stylesLength;
+          if (feature.styleIds[zoom].indexOf(layerId) === -1) {
+            feature.styleIds[zoom].push(layerId);
+          }
+          style = styles[stylesLength];
+          if (textAllowOverlap ? !style || !style.getRenderer() :
+            !style || !style.getImage() || style.getFill() || style.getStroke()) {
+            style = styles[stylesLength] = new Style();
+          }
+          const textTranslate = getValue(layer, 'paint', 'text-translate', zoom, f, featureState);
+          const textColor = getValue(layer, 'paint', 'text-color', zoom, f, featureState);
+          opacity = getValue(layer, 'paint', 'text-opacity', zoom, f, featureState);
+          const haloColor = colorWithOpacity(getValue(layer, 'paint', 'text-halo-color', zoom, f, featureState), opacity);
+          const haloWidth = haloColor ? getValue(layer, 'paint', 'text-halo-width', zoom, f, featureState) : 0;
+          const box = getTextBox(textExtent, textSize, textAnchor, textOffset);
+          box[0] += textTranslate[0];
+          box[1] += textTranslate[1];
+          const align = getJustification(getValue(layer, 'layout', 'text-justify', zoom, f), textAnchor);
+          const label_cache_key = JSON.stringify(formatted) + '.' + box + '.' + align + '.' +
+            textColor + '.' + opacity + '.' + haloColor + '.' + haloWidth;
+          iconImg = getLabelImage(labelCacheKey + label_cache_key, function() {
+            return createFormattedLabel(formatted, box, align, textColor, opacity, haloColor, haloWidth);
+          });
+          iconImg.setRotation(deg2rad(getValue(layer, 'layout', 'text-rotate', zoom, f)));
+          iconImg.setRotateWithView(isMapAligned(
+            getValue(layer, 'layout', 'text-rotation-alignment', zoom, f), symbolPlacement));
+          if (textAllowOverlap) {
+            style.setRenderer(createImageRenderer(iconImg));
+          } else {
+            style.setImage(iconImg);
+            style.setText(undefined);
+          }
+          style.setGeometry(symbolGeometries[0]);
+          style.setZIndex(symbolZIndex);
+          if (textAllowOverlap && !getValue(layer, 'layout', 'text-ignore-placement', zoom, f)) {
             ++stylesLength;
-            if (feature.styleIds[zoom].indexOf(layerId) === -1) {
-              feature.styleIds[zoom].push(layerId);
-            }
             style = styles[stylesLength];
-            if (!style || !style.getText() || style.getFill() || style.getStroke()) {
+            if (!style || !style.getImage() || style.getFill() || style.getStroke()) {
               style = styles[stylesLength] = new Style();
             }
-            style.setImage(undefined);
-            style.setGeometry(undefined);
-          }
-          if (!style.getText()) {
-            style.setText(text || new Text());
+            style.setImage(getPlaceholder(iconImg));
+            style.setText(undefined);
+            style.setGeometry(symbolGeometries[0]);
+            style.setZIndex(symbolZIndex);
           }
-          text = style.getText();
-          const textSize = getValue(layer, 'layout', 'text-size', zoom, f);
-          const textLineHeight = getValue(layer, 'layout', 'text-line-height', zoom, f);
-          const font = mb2css(chooseFont(getValue(layer, 'layout', 'text-font', zoom, f)), textSize);
-          const textTransform = layout['text-transform'];
-          if (textTransform == 'uppercase') {
-            label = label.toUpperCase();
-          } else if (textTransform == 'lowercase') {
-            label = label.toLowerCase();
-          }
-          const wrappedLabel = type == 2 ? label : wrapText(label, font, getValue(layer, 'layout', 'text-max-width', zoom, f));
-          text.setText(wrappedLabel);
-          text.setFont(font);
-          text.setRotation(deg2rad(getValue(layer, 'layout', 'text-rotate', zoom, f)));
-          const textAnchor = getValue(layer, 'layout', 'text-anchor', zoom, f);
-          const placement = (hasImage || type == 1) ? 'point' : getValue(layer, 'layout', 'symbol-placement', zoom, f);
-          text.setPlacement(placement);
-          let textHaloWidth = getValue(layer, 'paint', 'text-halo-width', zoom, f);
-          const textOffset = getValue(layer, 'layout', 'text-offset', zoom, f);
-          const textTranslate = getValue(layer, 'paint', 'text-translate', zoom, f);
-          let vOffset = 0;
-          let hOffset = 0;
-          let textAlign = 'center';
-          if (textAnchor.indexOf('left') !== -1) {
-            textAlign = 'left';
-            hOffset = textHaloWidth;
-          } else if (textAnchor.indexOf('right') !== -1) {
-            textAlign = 'right';
-            hOffset = -textHaloWidth;
+        } else if (label && !skipLabel) {
+          let labelGeometries = symbolGeometries;
+          if (!hasImage && type == 2 && symbolPlacement != 'point') {
+            labelGeometries = getLineAnchors(feature.getGeometry(),
+              getValue(layer, 'layout', 'symbol-spacing', zoom, f) * resolution,
+              textExtent[0] * resolution, symbolPlacement == 'line-center').map(function(anchor) {
+              const line = new LineString(null);
+              line.setFlatCoordinates('XY', anchor.line);
+              return line;
+            });
           }
-          if (placement == 'point') {
-            text.setTextAlign(textAlign);
-          } else {
-            text.setMaxAngle(deg2rad(getValue(layer, 'layout', 'text-max-angle', zoom, f)) * label.length / wrappedLabel.length);
-            text.setTextAlign();
+          let labelStyles = iconStyles;
+          // Optional text is decluttered separately from its icon
+          if (!hasImage || iconAllowOverlap || getValue(layer, 'layout', 'text-optional', zoom, f)) {
+            labelStyles = [];
+            for (let i = 0, ii = labelGeometries.length; i < ii; ++i) {
+              ++stylesLength;
+              if (feature.styleIds[zoom].indexOf(layerId) === -1) {
+                feature.styleIds[zoom].push(layerId);
+              }
+              style = styles[stylesLength];
+              if (!style || !style.getText() || style.getFill() || style.getStroke()) {
+                style = styles[stylesLength] = new Style();
+              }
+              style.setImage(undefined);
+              style.setGeometry(labelGeometries[i]);
+              labelStyles.push(style);
+            }
           }
-          let textBaseline = 'middle';
-          if (textAnchor.indexOf('bottom') == 0) {
-            textBaseline = 'bottom';
-            vOffset = -textHaloWidth - (0.5 * (textLineHeight - 1)) * textSize;
-          } else if (textAnchor.indexOf('top') == 0) {
-            textBaseline = 'top';
-            vOffset = textHaloWidth + (0.5 * (textLineHeight - 1)) * textSize;
+          const placement = (hasImage || type == 1 || symbolPlacement == 'point') ? 'point' : 'line';
+          const textRotateWithView = isMapAligned(
+            getValue(layer, 'layout', 'text-rotation-alignment', zoom, f), symbolPlacement);
+          // Labels of icons along lines follow the line like their icons
+          const alongLine = placement == 'point' && symbolAnchors && symbolPlacement != 'point' && textRotateWithView;
+          const keepUpright = alongLine && getValue(layer, 'layout', 'text-keep-upright', zoom, f);
+          if (keepUpright) {
+            rotationDependent = true;
           }
-          text.setTextBaseline(textBaseline);
-          text.setOffsetX(textOffset[0] * textSize + hOffset + textTranslate[0]);
-          text.setOffsetY(textOffset[1] * textSize + vOffset + textTranslate[1]);
-          opacity = getValue(layer, 'paint', 'text-opacity', zoom, f);
-          const textColor = new Fill();
-
-          textColor.setColor(colorWithOpacity(getValue(layer, 'paint', 'text-color', zoom, f), opacity) ||'rgba(0,0,0,0)');
-          text.setFill(textColor);
-          const haloColor = colorWithOpacity(getValue(layer, 'paint', 'text-halo-color', zoom, f), opacity);
-          if (haloColor) {
-            const textHalo = new Stroke();
-            textHalo.setColor(haloColor);
-            textHalo.setWidth(getValue(layer, 'paint', 'text-halo-width', zoom, f));
-            text.setStroke(textHalo);
-          } else {
-            text.setStroke(undefined);
+          let recycledText = text;
+          for (let i = 0, ii = labelStyles.length; i < ii; ++i) {
+            style = labelStyles[i];
+            text = style.getText();
+            // Labels do not share their text style
+            if (!text || !!text.getRotateWithView() !== textRotateWithView) {
+              text = recycledText && !!recycledText.getRotateWithView() === textRotateWithView ?
+                recycledText : new Text({rotateWithView: textRotateWithView});
+              recycledText = null;
+              style.setText(text);
+            }
+            const textLineHeight = getValue(layer, 'layout', 'text-line-height', zoom, f);
+            text.setText(wrappedLabel);
+            text.setFont(font);
+            let textRotation = deg2rad(getValue(layer, 'layout', 'text-rotate', zoom, f));
+            if (alongLine) {
+              textRotation = getLineRotation(textRotation, symbolAnchors[i].angle, keepUpright, viewRotation);
+            }
+            text.setRotation(textRotation);
+            text.setPlacement(placement);
+            let textHaloWidth = getValue(layer, 'paint', 'text-halo-width', zoom, f, featureState);
+            const textTranslate = getValue(layer, 'paint', 'text-translate', zoom, f, featureState);
+            let vOffset = 0;
+            let hOffset = 0;
+            let boxLeft = -textExtent[0] / 2;
+            if (textAnchor.indexOf('left') !== -1) {
+              boxLeft = 0;
+              hOffset = textHaloWidth;
+            } else if (textAnchor.indexOf('right') !== -1) {
+              boxLeft = -textExtent[0];
+              hOffset = -textHaloWidth;
+            }
+            if (placement == 'point') {
+              // Lines are justified within the box of the label
+              const textAlign = getJustification(getValue(layer, 'layout', 'text-justify', zoom, f), textAnchor);
+              hOffset += boxLeft + (textAlign == 'left' ? 0 : textAlign == 'right' ? textExtent[0] : textExtent[0] / 2);
+              text.setTextAlign(textAlign);
+            } else {
+              text.setMaxAngle(deg2rad(getValue(layer, 'layout', 'text-max-angle', zoom, f)) * label.length / wrappedLabel.length);
+              text.setTextAlign();
+            }
+            let textBaseline = 'middle';
+            if (textAnchor.indexOf('bottom') == 0) {
+              textBaseline = 'bottom';
+              vOffset = -textHaloWidth - (0.5 * (textLineHeight - 1)) * textSize;
+            } else if (textAnchor.indexOf('top') == 0) {
+              textBaseline = 'top';
+              vOffset = textHaloWidth + (0.5 * (textLineHeight - 1)) * textSize;
+            }
+            text.setTextBaseline(textBaseline);
+            text.setOffsetX(textOffset[0] * textSize + hOffset + textTranslate[0]);
+            text.setOffsetY(textOffset[1] * textSize + vOffset + textTranslate[1]);
+            opacity = getValue(layer, 'paint', 'text-opacity', zoom, f, featureState);
+            const textColor = new Fill();
+
+            textColor.setColor(colorWithOpacity(getValue(layer, 'paint', 'text-color', zoom, f, featureState), opacity) ||'rgba(0,0,0,0)');
+            text.setFill(textColor);
+            const haloColor = colorWithOpacity(getValue(layer, 'paint', 'text-halo-color', zoom, f, featureState), opacity);
+            if (haloColor) {
+              const textHalo = new Stroke();
+              textHalo.setColor(haloColor);
+              textHalo.setWidth(getValue(layer, 'paint', 'text-halo-width', zoom, f, featureState));
+              text.setStroke(textHalo);
+            } else {
+              text.setStroke(undefined);
+            }
+            style.setZIndex(symbolZIndex);
           }
-          style.setZIndex(99999 - index);
         }
       }
     }
@@ -722,5 +2224,38 @@ export default function(olLayer, glStyle, source, resolutions, spriteData, sprit
   olLayer.setStyle(styleFunction);
   olLayer.set('mapbox-source', mapboxSource);
   olLayer.set('mapbox-layers', mapboxLayers);
+  // Extrusions are rendered as flat fills when the view is rotated, and
+  // translations anchored to the viewport and upright symbols change with the
+  // rotation.
+  const rotationKey = olLayer.on('precompose', function(e) {
+    if (olLayer.getStyle() !== styleFunction) {
+      unByKey(rotationKey);
+      return;
+    }
+    labelIndex.clear();
+    placedLabels = {};
+    const rotation = e.frameState.viewState.rotation;
+    if (rotation != viewRotation) {
+      const rotated = rotation != 0;
+      const changed = rotationDependent || rotated != (viewRotation != 0);
+      viewRotation = rotation;
+      if (changed) {
+        olLayer.changed();
+      }
+    }
+  });
+  // Layers may be regrouped when the style changes, so keep the lookup table
+  // in sync with the `mapbox-layers` property.
+  const key = olLayer.on('change:mapbox-layers', function() {
+    if (olLayer.getStyle() !== styleFunction) {
+      unByKey(key);
+      return;
+    }
+    const layerIds = olLayer.get('mapbox-layers');
+    if (layerIds !== mapboxLayers) {
+      setLayers(layerIds);
+      olLayer.changed();
+    }
+  });
   return styleFunction;
 }
@@ -2,6 +2,14 @@ export function deg2rad(degrees) {
   return degrees * Math.PI / 180;
 }
 
+export const defaultResolutions = (function() {
+  const resolutions = [];
+  for (let res = 78271.51696402048; resolutions.length < 21; res /= 2) {
+    resolutions.push(res);
+  }
+  return resolutions;
+})();
+
 export function getZoomForResolution(resolution, resolutions) {
   let i = 0;
   const ii = resolutions.length;
@@ -14,3 +22,134 @@ export function getZoomForResolution(resolution, resolutions) {
   }
   return ii - 1;
 }
+
+export function getZoom(resolution, resolutions) {
+  let zoom = resolutions.indexOf(resolution);
+  if (zoom == -1) {
+    zoom = Math.round(getZoomForResolution(resolution, resolutions));
+  }
+  return zoom;
+}
+
+// Color matrix for rgb values in the 0..255 range, using the same math as the
+// raster shader of Mapbox GL. Returns undefined when colors are not changed.
+export function createRasterMatrix(hueRotate, saturation, contrast, brightnessMin, brightnessMax) {
+  if (hueRotate == 0 && saturation == 0 && contrast == 0 && brightnessMin == 0 && brightnessMax == 1) {
+    return undefined;
+  }
+  const angle = deg2rad(hueRotate);
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  const w0 = (2 * cos + 1) / 3;
+  const w1 = (-Math.sqrt(3) * sin - cos + 1) / 3;
+  const w2 = (Math.sqrt(3) * sin - cos + 1) / 3;
+  const spin = [w0, w1, w2, w2, w0, w1, w1, w2, w0];
+  const saturationFactor = saturation > 0 ? 1 - 1 / (1.001 - saturation) : -saturation;
+  const contrastFactor = contrast > 0 ? 1 / (1 - contrast) : 1 + contrast;
+  const scale = (brightnessMax - brightnessMin) * contrastFactor;
+  const offset = 255 * (brightnessMin + (brightnessMax - brightnessMin) * (0.5 - 0.5 * contrastFactor));
+  const matrix = [];
+  for (let row = 0; row < 3; ++row) {
+    for (let col = 0; col < 3; ++col) {
+      matrix.push(scale * ((1 - saturationFactor) * spin[row * 3 + col] + saturationFactor / 3));
+    }
+    matrix.push(offset);
+  }
+  return matrix;
+}
+
+export function applyRasterMatrix(data, matrix) {
+  for (let i = 0, ii = data.length; i < ii; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = matrix[0] * r + matrix[1] * g + matrix[2] * b + matrix[3];
+    data[i + 1] = matrix[4] * r + matrix[5] * g + matrix[6] * b + matrix[7];
+    data[i + 2] = matrix[8] * r + matrix[9] * g + matrix[10] * b + matrix[11];
+  }
+}
+
+function getElevation(data, index, encoding) {
+  const r = data[index];
+  const g = data[index + 1];
+  const b = data[index + 2];
+  return encoding == 'terrarium' ?
+    r * 256 + g + b / 256 - 32768 :
+    -10000 + (r * 256 * 256 + g * 256 + b) * 0.1;
+}
+
+// Replaces Terrain-RGB (`encoding` 'mapbox') or Terrarium encoded elevation
+// data with hillshading, using the same math as Mapbox GL. `extent` is the
+// EPSG:3857 extent of the tile, `light` has the `direction`, `exaggeration`
+// and the premultiplied `shadow`, `highlight` and `accent` colors. The
+// optional `neighbour` function returns the encoded data of the tile of the
+// same size `dx` columns and `dy` rows away, so slopes at the tile border are
+// shaded like inside the tile. Without it, the border pixels are repeated.
+export function hillshade(data, width, height, encoding, zoom, extent, light, neighbour) {
+  const elevations = new Array(width * height);
+  for (let i = 0, ii = elevations.length; i < ii; ++i) {
+    elevations[i] = getElevation(data, i * 4, encoding);
+  }
+  function elevation(x, y) {
+    if (neighbour && (x < 0 || x >= width || y < 0 || y >= height)) {
+      const dx = x < 0 ? -1 : x >= width ? 1 : 0;
+      const dy = y < 0 ? -1 : y >= height ? 1 : 0;
+      const neighbourData = neighbour(dx, dy);
+      if (neighbourData) {
+        return getElevation(neighbourData, ((y - dy * height) * width + x - dx * width) * 4, encoding);
+      }
+    }
+    x = Math.min(Math.max(x, 0), width - 1);
+    y = Math.min(Math.max(y, 0), height - 1);
+    return elevations[y * width + x];
+  }
+  const exaggerationFactor = zoom < 2 ? 0.4 : zoom < 4.5 ? 0.35 : 0.3;
+  const exaggeration = zoom < 15 ? (zoom - 15) * exaggerationFactor : 0;
+  const derivScale = Math.pow(2, exaggeration + (19.2562 - zoom));
+  const intensity = light.exaggeration;
+  const azimuth = deg2rad(light.direction) + Math.PI;
+  const base = 1.875 - intensity * 1.75;
+  const maxValue = 0.5 * Math.PI;
+  const intensityFactor = Math.min(Math.max(intensity * 2, 0), 1);
+  const shadow = light.shadow;
+  const highlight = light.highlight;
+  const accent = light.accent;
+  const tileHeight = extent[3] - extent[1];
+  for (let y = 0; y < height; ++y) {
+    const mercatorY = extent[3] - (y + 0.5) / height * tileHeight;
+    const latitude = 2 * Math.atan(Math.exp(mercatorY / 6378137)) - Math.PI / 2;
+    const scaleFactor = Math.cos(latitude);
+    for (let x = 0; x < width; ++x) {
+      const a = elevation(x - 1, y - 1);
+      const b = elevation(x, y - 1);
+      const c = elevation(x + 1, y - 1);
+      const d = elevation(x - 1, y);
+      const f = elevation(x + 1, y);
+      const g = elevation(x - 1, y + 1);
+      const h = elevation(x, y + 1);
+      const i = elevation(x + 1, y + 1);
+      const derivX = Math.min(Math.max(((c + f + f + i) - (a + d + d + g)) / derivScale, -1), 1);
+      const derivY = Math.min(Math.max(((g + h + h + i) - (a + b + b + c)) / derivScale, -1), 1);
+      const slope = Math.atan(1.25 * Math.sqrt(derivX * derivX + derivY * derivY) / scaleFactor);
+      const aspect = derivX != 0 ? Math.atan2(derivY, -derivX) : Math.PI / 2 * (derivY > 0 ? 1 : -1);
+      const scaledSlope = intensity != 0.5 ?
+        ((Math.pow(base, slope) - 1) / (Math.pow(base, maxValue) - 1)) * maxValue : slope;
+      const accentFactor = (1 - Math.cos(scaledSlope)) * intensityFactor;
+      let shade = ((aspect + azimuth) / Math.PI + 0.5) % 2;
+      shade = Math.abs((shade < 0 ? shade + 2 : shade) - 1);
+      const shadeFactor = Math.sin(scaledSlope) * intensityFactor;
+      const shadeA = (shadow.a + (highlight.a - shadow.a) * shade) * shadeFactor;
+      const index = (y * width + x) * 4;
+      const accentA = accentFactor * (1 - shadeA);
+      const alpha = accent.a * accentA + shadeA;
+      const unpremultiply = alpha > 0 ? 255 / alpha : 0;
+      data[index] = unpremultiply * (accent.r * accentA +
+          (shadow.r + (highlight.r - shadow.r) * shade) * shadeFactor);
+      data[index + 1] = unpremultiply * (accent.g * accentA +
+          (shadow.g + (highlight.g - shadow.g) * shade) * shadeFactor);
+      data[index + 2] = unpremultiply * (accent.b * accentA +
+          (shadow.b + (highlight.b - shadow.b) * shade) * shadeFactor);
+      data[index + 3] = 255 * alpha;
+    }
+  }
+}